@@ -0,0 +1,254 @@
+import { randomUUID } from "node:crypto";
+import { WebSocketServer } from "ws";
+import { BucketStore } from "./ratelimit.js";
+import { DEFAULT_ROOM } from "../static/lib/chat.js";
+
+/*
+  The chat behind horizon://chat: a WebSocket at /chat where people on one deployment talk in named rooms.
+  A connection is in one room at a time. Every message is a JSON object:
+
+    client -> server   { type: "join", room, nick }       enter a room (again, after a reconnect)
+                       { type: "message", text }          say something in it
+                       { type: "nick", nick }             change name
+    server -> client   { type: "joined", room, nick, members, history }
+                       { type: "message", id, nick, text, ts }
+                       { type: "presence", event: "join" | "leave" | "nick", nick, previous?, members }
+                       { type: "error", error, retryAfter? }
+
+  Nicknames are unique within a room; a taken one gets a number appended, and "joined"/"presence" carry
+  the name actually given. Rooms and their history live in this process's memory only, capped in size,
+  and are gone after a restart. Message text is never logged.
+*/
+
+export const CHAT_PATH = "/chat";
+
+const ROOM_NAME = /^[a-z0-9][a-z0-9-]{0,31}$/;
+const MAX_NICK_LENGTH = 24;
+// connections that answer nothing (not even a ping) for two intervals are dropped
+const PING_INTERVAL_MS = 30 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+const CLOSE_GOING_AWAY = 1001;
+const CLOSE_UNSUPPORTED = 1003;
+
+/** Cleans up a requested nickname: no control characters or runs of spaces, at most MAX_NICK_LENGTH characters. */
+export function cleanNick(raw) {
+	const nick = [...String(raw || "").replace(/[\p{C}\s]+/gu, " ").trim()].slice(0, MAX_NICK_LENGTH).join("").trim();
+	return nick || "guest";
+}
+
+/**
+ * @param {object} options config.chat
+ * @param {object} hooks
+ * @param {(req: import("node:http").IncomingMessage) => string} hooks.clientIp address connections and messages are limited by
+ * @param {(budget: string) => void} [hooks.onLimited] called for every message refused by the rate limit
+ */
+export function createChat(options, { clientIp, onLimited = () => {} }) {
+	const rooms = new Map(); // name -> { name, members: Set<client>, history: [], active }
+	const clients = new Set();
+	const connectionsByIp = new Map();
+	const messages = new BucketStore(options.messageBurst, options.messagesPerMinute / 60);
+	// JSON escaping and UTF-8 can make a message several times its length in characters
+	const sockets = new WebSocketServer({ noServer: true, clientTracking: false, maxPayload: options.maxMessageLength * 6 + 1024 });
+
+	const heartbeat = setInterval(() => {
+		const cutoff = Date.now() - 2 * PING_INTERVAL_MS;
+		for (const client of clients) {
+			if (client.lastSeen < cutoff) client.ws.terminate();
+			else client.ws.ping();
+		}
+	}, PING_INTERVAL_MS);
+	heartbeat.unref();
+	const sweeper = setInterval(() => messages.sweep(), SWEEP_INTERVAL_MS);
+	sweeper.unref();
+
+	function send(client, message) {
+		client.ws.send(JSON.stringify(message));
+	}
+
+	function broadcast(room, message, except = null) {
+		const text = JSON.stringify(message);
+		for (const member of room.members) {
+			if (member !== except) member.ws.send(text);
+		}
+	}
+
+	function membersOf(room) {
+		return [...room.members].map((m) => m.nick).sort((a, b) => a.localeCompare(b));
+	}
+
+	function uniqueNick(room, wanted, self) {
+		const taken = new Set([...room.members].filter((m) => m !== self).map((m) => m.nick.toLowerCase()));
+		let nick = wanted;
+		for (let n = 2; taken.has(nick.toLowerCase()); n++) {
+			const suffix = " " + n;
+			nick = [...wanted].slice(0, MAX_NICK_LENGTH - suffix.length).join("") + suffix;
+		}
+		return nick;
+	}
+
+	// An existing room, or a new one; when there are already maxRooms, the longest-idle room nobody is in makes way
+	function roomFor(name) {
+		let room = rooms.get(name);
+		if (room) return room;
+		if (rooms.size >= options.maxRooms) {
+			let idle = null;
+			for (const r of rooms.values()) {
+				if (!r.members.size && (!idle || r.active < idle.active)) idle = r;
+			}
+			if (!idle) return null;
+			rooms.delete(idle.name);
+		}
+		room = { name, members: new Set(), history: [], active: Date.now() };
+		rooms.set(name, room);
+		return room;
+	}
+
+	function leave(client) {
+		const room = client.room;
+		if (!room) return;
+		room.members.delete(client);
+		client.room = null;
+		if (!room.members.size && !room.history.length) rooms.delete(room.name);
+		else broadcast(room, { type: "presence", event: "leave", nick: client.nick, members: membersOf(room) });
+	}
+
+	function join(client, msg) {
+		const name = String(msg.room || DEFAULT_ROOM).trim().toLowerCase();
+		if (!ROOM_NAME.test(name)) {
+			send(client, { type: "error", error: "room names are 1-32 lowercase letters, digits and dashes" });
+			return;
+		}
+		if (client.room && client.room.name === name) {
+			// already there; greet it again
+			send(client, { type: "joined", room: name, nick: client.nick, members: membersOf(client.room), history: client.room.history });
+			return;
+		}
+		// a connection's first join is free; switching rooms announces a leave and a join, so it is charged
+		if (client.room && limited(client)) return;
+		const room = roomFor(name);
+		if (!room) {
+			send(client, { type: "error", error: "too many rooms are in use; join an existing one" });
+			return;
+		}
+		leave(client);
+		client.nick = uniqueNick(room, cleanNick(msg.nick), client);
+		room.members.add(client);
+		client.room = room;
+		broadcast(room, { type: "presence", event: "join", nick: client.nick, members: membersOf(room) }, client);
+		send(client, { type: "joined", room: room.name, nick: client.nick, members: membersOf(room), history: room.history });
+	}
+
+	// Messages, renames and room changes share one budget per client address
+	function limited(client) {
+		const retryAfter = messages.take(client.ip);
+		if (!retryAfter) return false;
+		onLimited("chat");
+		send(client, { type: "error", error: "you are sending too fast", retryAfter });
+		return true;
+	}
+
+	function say(client, msg) {
+		const room = client.room;
+		if (!room) {
+			send(client, { type: "error", error: "join a room first" });
+			return;
+		}
+		const text = String(msg.text || "").trim();
+		if (!text) return;
+		if (text.length > options.maxMessageLength) {
+			send(client, { type: "error", error: `messages are limited to ${options.maxMessageLength} characters` });
+			return;
+		}
+		if (limited(client)) return;
+		const entry = { id: randomUUID(), nick: client.nick, text, ts: Date.now() };
+		room.history.push(entry);
+		if (room.history.length > options.historySize) room.history.splice(0, room.history.length - options.historySize);
+		room.active = entry.ts;
+		broadcast(room, { type: "message", ...entry });
+	}
+
+	function rename(client, msg) {
+		const room = client.room;
+		if (!room) {
+			send(client, { type: "error", error: "join a room first" });
+			return;
+		}
+		const nick = uniqueNick(room, cleanNick(msg.nick), client);
+		if (nick === client.nick || limited(client)) return;
+		const previous = client.nick;
+		client.nick = nick;
+		broadcast(room, { type: "presence", event: "nick", nick, previous, members: membersOf(room) });
+	}
+
+	function receive(client, text) {
+		let msg;
+		try {
+			msg = JSON.parse(text);
+		} catch (err) {
+			msg = null;
+		}
+		if (!msg || typeof msg !== "object") send(client, { type: "error", error: "messages must be JSON objects" });
+		else if (msg.type === "join") join(client, msg);
+		else if (msg.type === "message") say(client, msg);
+		else if (msg.type === "nick") rename(client, msg);
+		else send(client, { type: "error", error: `unknown message type ${JSON.stringify(msg.type)}` });
+	}
+
+	return {
+		/**
+		 * Takes over an upgrade request for CHAT_PATH (authorization and rate limits already checked).
+		 * @returns {boolean} whether it became a chat connection; if not, the socket has been answered
+		 */
+		handleUpgrade(req, socket, head) {
+			const ip = clientIp(req);
+			const open = connectionsByIp.get(ip) || 0;
+			if (open >= options.maxConnectionsPerIp) {
+				socket.on("error", () => socket.destroy());
+				socket.end("HTTP/1.1 429 Too Many Requests\r\nConnection: close\r\nContent-Length: 0\r\n\r\n");
+				return false;
+			}
+			// without verifyClient, ws finishes the handshake (or answers a bad one with 400) before returning
+			let ws = null;
+			sockets.handleUpgrade(req, socket, head, (accepted) => {
+				ws = accepted;
+			});
+			if (!ws) return false;
+			connectionsByIp.set(ip, open + 1);
+			const client = { ws, ip, room: null, nick: null, lastSeen: Date.now() };
+			clients.add(client);
+			ws.on("message", (data, isBinary) => {
+				client.lastSeen = Date.now();
+				if (isBinary) ws.close(CLOSE_UNSUPPORTED, "text messages only");
+				else receive(client, data.toString("utf8"));
+			});
+			ws.on("pong", () => {
+				client.lastSeen = Date.now();
+			});
+			// a frame that breaks the protocol: ws has already closed the connection with the matching code
+			ws.on("error", () => {});
+			ws.once("close", () => {
+				clients.delete(client);
+				leave(client);
+				const left = connectionsByIp.get(ip) - 1;
+				if (left > 0) connectionsByIp.set(ip, left);
+				else connectionsByIp.delete(ip);
+			});
+			return true;
+		},
+
+		/** Open chat connections, for the metrics */
+		connections() {
+			return clients.size;
+		},
+
+		/** Tells every connection the server is going away; the clients then hang up. */
+		goAway() {
+			for (const client of clients) client.ws.close(CLOSE_GOING_AWAY, "server shutting down");
+		},
+
+		close() {
+			clearInterval(heartbeat);
+			clearInterval(sweeper);
+		}
+	};
+}
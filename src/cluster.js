@@ -0,0 +1,306 @@
+import cluster from "node:cluster";
+import { createServer as createNetServer } from "node:net";
+import { availableParallelism } from "node:os";
+import { createRedirectServer } from "./tls.js";
+import { printListening } from "./server.js";
+import { CHAT_PATH } from "./chat.js";
+
+/*
+  Cluster mode. The primary owns the listening socket and hands every connection to a worker chosen by
+  the session it is for, so a rammerhead session (cookies, storage, open WebSockets) always lives in one
+  process. Plain HTTP is routed by the session ID in the first request on the connection; over HTTPS the
+  primary can't read requests, so connections are routed by client IP instead.
+
+  /newsession carries no ID, so it goes to any worker. That worker owns the session it creates: before
+  answering, it tells the primary (which tells every worker) and waits for the news to come back, so the
+  session's first request already goes to it. IDs nobody claimed are placed by slotFor().
+*/
+
+const SESSION_ID = /^[a-z0-9]{32}$/;
+const SESSION_PATH = /^\/([a-z0-9]{32})/;
+// bytes of the first request the primary is willing to buffer while looking for the request line
+const MAX_HEAD_BYTES = 8 * 1024;
+const HEAD_TIMEOUT_MS = 10 * 1000;
+const RESTART_DELAY_MS = 1000;
+// sessions whose owner is remembered; older ones fall back to slotFor()
+const MAX_OWNED_SESSIONS = 100000;
+// how long a worker holds back /newsession's answer waiting for the primary to confirm ownership
+const OWNER_ACK_TIMEOUT_MS = 1000;
+
+/**
+ * The session a request URL belongs to: the proxied path prefix, or the id/sessionId parameter of
+ * rammerhead's session API. The chat's rooms live in one process, so every chat connection gets the
+ * same key (over HTTPS this isn't consulted; config validation keeps the chat to a single worker there).
+ * null for requests any worker can serve.
+ * @param {string} url request URL (path and query)
+ */
+export function affinityKey(url) {
+	let parsed;
+	try {
+		parsed = new URL(url, "http://0.0.0.0");
+	} catch (err) {
+		return null;
+	}
+	const match = SESSION_PATH.exec(parsed.pathname);
+	if (match) return match[1];
+	if (parsed.pathname === CHAT_PATH) return "chat";
+	const param = parsed.searchParams.get("id") || parsed.searchParams.get("sessionId");
+	return param && SESSION_ID.test(param) ? param : null;
+}
+
+// FNV-1a plus a murmur3-style finalizer (FNV's low bits alone mix poorly); only needs to be stable and even
+export function slotFor(key, count) {
+	let hash = 0x811c9dc5;
+	for (let i = 0; i < key.length; i++) {
+		hash ^= key.charCodeAt(i);
+		hash = Math.imul(hash, 0x01000193);
+	}
+	hash ^= hash >>> 16;
+	hash = Math.imul(hash, 0x85ebca6b);
+	hash ^= hash >>> 13;
+	return (hash >>> 0) % count;
+}
+
+/** The worker slot each session lives in: the one that created it, else the one slotFor() picks. */
+export class SessionOwners {
+	constructor(count) {
+		this.count = count;
+		this.owners = new Map(); // id -> slot, oldest first
+	}
+
+	set(id, slot) {
+		this.owners.delete(id);
+		this.owners.set(id, slot);
+		if (this.owners.size > MAX_OWNED_SESSIONS) this.owners.delete(this.owners.keys().next().value);
+	}
+
+	/** @param {string} key an affinityKey() */
+	slotOf(key) {
+		const slot = this.owners.get(key);
+		return slot === undefined ? slotFor(key, this.count) : slot;
+	}
+
+	entries() {
+		return [...this.owners];
+	}
+}
+
+export function resolveWorkerCount(workers) {
+	return workers === "auto" ? availableParallelism() : workers;
+}
+
+/**
+ * Runs the cluster primary: forks the workers, balances connections, restarts crashed workers,
+ * replaces workers one by one on SIGHUP, and drains everything on SIGTERM/SIGINT.
+ * @param {object} config result of loadConfig()
+ * @param {ReturnType<import("./logging.js").createLogger>} logger
+ */
+export function startPrimary(config, logger) {
+	const count = resolveWorkerCount(config.cluster.workers);
+	const secure = !!config.tls.cert;
+	const slots = new Array(count).fill(null);
+	const owners = new SessionOwners(count);
+	let nextRoundRobin = 0;
+	let stopping = false;
+	let listening = false;
+
+	function fork(slot) {
+		const worker = cluster.fork({ HORIZON_WORKER_SLOT: String(slot), HORIZON_WORKER_COUNT: String(count) });
+		worker.horizonSlot = slot;
+		worker.on("exit", (code, signal) => {
+			if (slots[slot] !== worker || stopping) return;
+			logger.error({ type: "cluster", message: "worker died, restarting", slot, code, signal });
+			slots[slot] = null;
+			// a short pause keeps a worker that dies on startup from turning into a fork loop
+			setTimeout(() => {
+				if (!stopping) fork(slot);
+			}, RESTART_DELAY_MS);
+		});
+		// only take connections once the worker says its server is set up
+		worker.on("message", (msg) => {
+			if (msg && msg.type === "horizon:session" && SESSION_ID.test(msg.id)) {
+				owners.set(msg.id, slot);
+				for (const w of Object.values(cluster.workers)) {
+					if (w.isConnected()) w.send({ type: "horizon:owner", id: msg.id, slot });
+				}
+			} else if (msg && msg.type === "horizon:ready") {
+				// sent before the first connection, which comes after it on the same channel
+				if (!secure) worker.send({ type: "horizon:owners", entries: owners.entries() });
+				const previous = slots[slot];
+				slots[slot] = worker;
+				worker.emit("horizon:ready");
+				if (previous && previous !== worker && previous.isConnected()) previous.send({ type: "horizon:drain" });
+				if (!listening && slots.every(Boolean)) startListening();
+			}
+		});
+		return worker;
+	}
+
+	// a slot without a ready worker (crashed, still starting) falls back to any ready worker
+	function workerFor(slot) {
+		if (slots[slot] && slots[slot].isConnected()) return slots[slot];
+		return slots.find((w) => w && w.isConnected()) || null;
+	}
+
+	function handOff(socket, slot, head) {
+		const worker = workerFor(slot);
+		if (!worker) {
+			socket.destroy();
+			return;
+		}
+		// a stand-in worker must not bounce the connection's requests back, or they would loop until the slot recovers
+		const fallback = worker !== slots[slot];
+		worker.send({ type: "horizon:connection", head: head ? head.toString("base64") : null, fallback }, socket);
+	}
+
+	const balancer = createNetServer({ pauseOnConnect: true }, (socket) => {
+		if (secure) {
+			handOff(socket, slotFor(socket.remoteAddress || "", count), null);
+			return;
+		}
+		let head = Buffer.alloc(0);
+		const timer = setTimeout(() => socket.destroy(), HEAD_TIMEOUT_MS);
+		const onData = (chunk) => {
+			head = Buffer.concat([head, chunk]);
+			const lineEnd = head.indexOf("\r\n");
+			if (lineEnd === -1 && head.length < MAX_HEAD_BYTES) return;
+			socket.pause();
+			socket.removeListener("data", onData);
+			clearTimeout(timer);
+			// request line: METHOD SP request-target SP HTTP-version
+			const target = head.toString("latin1", 0, lineEnd === -1 ? head.length : lineEnd).split(" ")[1] || "/";
+			const key = affinityKey(target);
+			handOff(socket, key ? owners.slotOf(key) : nextRoundRobin++ % count, head);
+		};
+		socket.on("data", onData);
+		socket.on("error", () => clearTimeout(timer));
+		socket.resume();
+	});
+	balancer.on("listening", () => printListening(balancer.address(), secure));
+
+	let redirect = null;
+	if (config.tls.redirectPort !== null) {
+		redirect = createRedirectServer(config.port);
+		redirect.on("listening", () => console.log(`Redirecting http://*:${redirect.address().port} to HTTPS`));
+	}
+
+	// listen once every slot has a worker, so the first connections don't all land on one worker
+	function startListening() {
+		listening = true;
+		balancer.listen({ port: config.port, host: config.host || undefined });
+		if (redirect) redirect.listen({ port: config.tls.redirectPort, host: config.host || undefined });
+		logger.info({ type: "cluster", message: "all workers ready", workers: count });
+	}
+
+	for (let slot = 0; slot < count; slot++) fork(slot);
+
+	// Zero-downtime restart: each slot gets a fresh worker, which takes over the slot as soon as it is
+	// ready; the old one then drains its connections and exits
+	process.on("SIGHUP", async () => {
+		if (stopping) return;
+		logger.info({ type: "cluster", message: "rolling restart", workers: count });
+		for (let slot = 0; slot < count; slot++) {
+			const replacement = fork(slot);
+			await new Promise((resolve) => {
+				replacement.once("horizon:ready", resolve);
+				replacement.once("exit", resolve);
+			});
+		}
+	});
+
+	const shutdown = () => {
+		if (stopping) {
+			// second signal: don't wait any longer
+			process.exit(1);
+		}
+		stopping = true;
+		logger.info({ type: "shutdown", message: "draining workers", timeout: config.shutdown.timeout });
+		balancer.close();
+		if (redirect) redirect.close();
+		const exitWhenDone = () => {
+			if (Object.keys(cluster.workers).length === 0) process.exit(0);
+		};
+		for (const worker of Object.values(cluster.workers)) {
+			if (worker.isConnected()) worker.send({ type: "horizon:drain" });
+		}
+		cluster.on("exit", exitWhenDone);
+		exitWhenDone();
+	};
+	process.on("SIGTERM", shutdown);
+	process.on("SIGINT", shutdown);
+}
+
+/**
+ * Worker side: accepts connections handed over by the primary and refuses requests that, on a reused
+ * connection, belong to a session another worker owns.
+ * @param {ReturnType<import("./server.js").createHorizonServer>} horizon
+ * @param {number} shutdownTimeout ms to drain before exiting
+ */
+export function startWorker(horizon, shutdownTimeout) {
+	process.on("message", (msg, socket) => {
+		if (!msg) return;
+		if (msg.type === "horizon:connection" && socket) {
+			socket.horizonFallback = !!msg.fallback;
+			horizon.server.emit("connection", socket);
+			// the primary already read the start of the request to route it; replay it
+			if (msg.head) socket.emit("data", Buffer.from(msg.head, "base64"));
+			socket.resume();
+		} else if (msg.type === "horizon:drain") {
+			horizon.drain(shutdownTimeout).then(() => process.exit(0));
+		}
+	});
+	// the primary coordinates shutdown; a terminal's Ctrl+C reaches every process in the group
+	process.on("SIGINT", () => {});
+	process.on("SIGTERM", () => {});
+	// primary gone without telling us: nobody will hand over connections any more
+	process.on("disconnect", () => horizon.drain(shutdownTimeout).then(() => process.exit(0)));
+	horizon.markReady();
+	process.send({ type: "horizon:ready" });
+}
+
+/**
+ * A worker's side of session affinity (HTTP cluster mode only): its copy of the primary's SessionOwners.
+ * @param {number} slot this worker's slot
+ * @param {number} count number of workers
+ * @param {import("node:events").EventEmitter & { send: (msg: object) => void }} [channel] IPC to the primary
+ * @returns {{ misrouted: (req: import("node:http").IncomingMessage) => boolean, sessionCreated: (id: string) => Promise<void> }}
+ *   for createHorizonServer()
+ */
+export function createWorkerRouting(slot, count, channel = process) {
+	const owners = new SessionOwners(count);
+	const waiting = new Map(); // session ID -> resolve of sessionCreated()
+
+	channel.on("message", (msg) => {
+		if (!msg) return;
+		if (msg.type === "horizon:owners") {
+			for (const [id, owner] of msg.entries) owners.set(id, owner);
+		} else if (msg.type === "horizon:owner") {
+			owners.set(msg.id, msg.slot);
+			const resolve = waiting.get(msg.id);
+			if (resolve) resolve();
+		}
+	});
+
+	return {
+		// whether a request on a reused connection belongs to another worker
+		misrouted(req) {
+			if (req.socket.horizonFallback) return false;
+			const key = affinityKey(req.url);
+			return key !== null && owners.slotOf(key) !== slot;
+		},
+
+		// Resolves once the primary knows the session is ours; without an answer the session stays where slotFor() puts it
+		sessionCreated(id) {
+			return new Promise((resolve) => {
+				const timer = setTimeout(done, OWNER_ACK_TIMEOUT_MS);
+				function done() {
+					clearTimeout(timer);
+					waiting.delete(id);
+					resolve();
+				}
+				waiting.set(id, done);
+				channel.send({ type: "horizon:session", id });
+			});
+		}
+	};
+}
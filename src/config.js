@@ -0,0 +1,364 @@
+import { readFileSync } from "node:fs";
+import { dirname, extname, resolve } from "node:path";
+import { fileURLToPath, pathToFileURL } from "node:url";
+import { parseArgs } from "node:util";
+import { isIP } from "node:net";
+import { availableParallelism } from "node:os";
+
+/*
+  Server configuration.
+
+  Sources, from lowest to highest precedence:
+    1. built-in defaults (DEFAULTS below)
+    2. the config file named by --config or HORIZON_CONFIG (.json, or .js/.mjs with a default export)
+    3. environment variables
+    4. command-line flags
+  Each option below lists its env var and flag. Relative paths are resolved against the config file's
+  directory when they come from the file, and against the working directory otherwise.
+*/
+
+export class ConfigError extends Error {
+	constructor(problems) {
+		super("Invalid configuration:\n" + problems.map((p) => "  - " + p).join("\n"));
+		this.name = "ConfigError";
+		this.problems = problems;
+	}
+}
+
+const LOG_LEVELS = ["disabled", "debug", "traffic", "info", "warn", "error"];
+
+const DEFAULTS = {
+	port: 8080,
+	host: null, // all interfaces
+	staticDir: fileURLToPath(new URL("../static/", import.meta.url)),
+	logLevel: "info",
+	password: null,
+	passwordFile: null,
+	rammerhead: {
+		reverseProxy: false,
+		disableLocalStorageSync: false,
+		diskJsCachePath: null,
+		jsCacheSize: 50 * 1024 * 1024
+	},
+	sessions: {
+		staleTimeout: 3 * 24 * 60 * 60 * 1000,
+		maxToLive: null,
+		staleCheckInterval: 60 * 60 * 1000
+	},
+	tls: {
+		cert: null, // HTTPS is on when cert and key are both set
+		key: null,
+		ca: null,
+		watch: true,
+		redirectPort: null
+	},
+	log: {
+		file: null, // JSON lines go to stdout unless a file is set
+		maxSize: 10 * 1024 * 1024,
+		maxFiles: 5,
+		access: true,
+		urls: "redact"
+	},
+	rateLimit: {
+		enabled: true,
+		trustedProxies: [], // only these peers may set X-Forwarded-For
+		sessionBurst: 5,
+		sessionsPerHour: 20,
+		requestBurst: 300,
+		requestsPerSecond: 50,
+		sessionRequestBurst: 300,
+		sessionRequestsPerSecond: 50
+	},
+	cluster: {
+		workers: 0 // 0 runs a single process; "auto" uses one worker per CPU core
+	},
+	shutdown: {
+		timeout: 30 * 1000
+	},
+	chat: {
+		enabled: true,
+		historySize: 100, // messages kept per room
+		maxRooms: 100,
+		maxMessageLength: 2000,
+		messageBurst: 5,
+		messagesPerMinute: 30,
+		maxConnectionsPerIp: 10
+	},
+	monitoring: {
+		healthz: true,
+		readyz: true,
+		metrics: false, // needs token: the metrics show how the deployment is used
+		token: null, // bearer token required for /metrics (and health checks with protectHealth)
+		protectHealth: false,
+		sessionWindow: 5 * 60 * 1000
+	}
+};
+
+// key: dotted path into the config object; type: how env/flag strings are parsed and values validated;
+// nullable: the option may be null (unset)
+const OPTIONS = [
+	{ key: "port", type: "port", env: ["HORIZON_PORT", "PORT"], flag: "port", help: "port to listen on" },
+	{ key: "host", type: "string", nullable: true, env: ["HORIZON_HOST"], flag: "host", help: "address to bind (default: all interfaces)" },
+	{ key: "staticDir", type: "path", env: ["HORIZON_STATIC_DIR"], flag: "static-dir", help: "directory served as the Horizon UI" },
+	{ key: "logLevel", type: "enum", values: LOG_LEVELS, env: ["HORIZON_LOG_LEVEL"], flag: "log-level", help: "rammerhead and server log level" },
+	{ key: "password", type: "string", nullable: true, env: ["HORIZON_PASSWORD"], help: "deployment password (env or config file only)" },
+	{ key: "passwordFile", type: "path", nullable: true, env: ["HORIZON_PASSWORD_FILE"], flag: "password-file", help: "file whose first line is the password" },
+	{ key: "rammerhead.reverseProxy", type: "boolean", env: ["HORIZON_REVERSE_PROXY"], flag: "reverse-proxy", help: "trust X-Forwarded-* headers" },
+	{ key: "rammerhead.disableLocalStorageSync", type: "boolean", env: ["HORIZON_DISABLE_LOCALSTORAGE_SYNC"], flag: "disable-localstorage-sync", help: "don't sync proxied localStorage to the server" },
+	{ key: "rammerhead.diskJsCachePath", type: "path", nullable: true, env: ["HORIZON_DISK_JS_CACHE"], flag: "disk-js-cache", help: "directory for the rewritten-JS disk cache" },
+	{ key: "rammerhead.jsCacheSize", type: "integer", env: ["HORIZON_JS_CACHE_SIZE"], flag: "js-cache-size", help: "rewritten-JS cache size in bytes" },
+	{ key: "sessions.staleTimeout", type: "integer", nullable: true, env: ["HORIZON_SESSION_STALE_TIMEOUT"], flag: "session-stale-timeout", help: "ms of inactivity before a session is deleted" },
+	{ key: "sessions.maxToLive", type: "integer", nullable: true, env: ["HORIZON_SESSION_MAX_TO_LIVE"], flag: "session-max-to-live", help: "ms after which a session is deleted regardless of use" },
+	{ key: "sessions.staleCheckInterval", type: "integer", env: ["HORIZON_SESSION_STALE_CHECK_INTERVAL"], flag: "session-stale-check-interval", help: "ms between stale session sweeps" },
+	{ key: "tls.cert", type: "path", nullable: true, env: ["HORIZON_TLS_CERT"], flag: "tls-cert", help: "PEM certificate (chain) file; enables HTTPS" },
+	{ key: "tls.key", type: "path", nullable: true, env: ["HORIZON_TLS_KEY"], flag: "tls-key", help: "PEM private key file" },
+	{ key: "tls.ca", type: "path", nullable: true, env: ["HORIZON_TLS_CA"], flag: "tls-ca", help: "optional PEM CA bundle" },
+	{ key: "tls.watch", type: "boolean", env: ["HORIZON_TLS_WATCH"], help: "reload the certificate when its files change" },
+	{ key: "tls.redirectPort", type: "port", nullable: true, env: ["HORIZON_TLS_REDIRECT_PORT"], flag: "tls-redirect-port", help: "also listen on this port and redirect HTTP to HTTPS" },
+	{ key: "log.file", type: "path", nullable: true, env: ["HORIZON_LOG_FILE"], flag: "log-file", help: "write the JSON server/access log here instead of stdout" },
+	{ key: "log.maxSize", type: "integer", env: ["HORIZON_LOG_MAX_SIZE"], help: "bytes before the log file is rotated (0 = never)" },
+	{ key: "log.maxFiles", type: "integer", env: ["HORIZON_LOG_MAX_FILES"], help: "rotated log files to keep" },
+	{ key: "log.access", type: "boolean", env: ["HORIZON_ACCESS_LOG"], help: "log every request and WebSocket upgrade" },
+	{ key: "log.urls", type: "enum", values: ["redact", "hash"], env: ["HORIZON_LOG_URLS"], flag: "log-urls", help: "how proxied target URLs appear in the access log" },
+	{ key: "rateLimit.enabled", type: "boolean", env: ["HORIZON_RATE_LIMIT"], help: "enable per-IP and per-session rate limits" },
+	{ key: "rateLimit.trustedProxies", type: "ips", env: ["HORIZON_TRUSTED_PROXIES"], flag: "trusted-proxies", help: "comma-separated proxy IPs whose X-Forwarded-For is believed" },
+	{ key: "rateLimit.sessionBurst", type: "integer", env: ["HORIZON_RATE_SESSION_BURST"], help: "sessions one IP may create at once" },
+	{ key: "rateLimit.sessionsPerHour", type: "integer", env: ["HORIZON_RATE_SESSIONS_PER_HOUR"], help: "sustained session creations per IP per hour" },
+	{ key: "rateLimit.requestBurst", type: "integer", env: ["HORIZON_RATE_REQUEST_BURST"], help: "proxied requests one IP may make at once" },
+	{ key: "rateLimit.requestsPerSecond", type: "integer", env: ["HORIZON_RATE_REQUESTS_PER_SECOND"], help: "sustained proxied requests per IP per second" },
+	{ key: "rateLimit.sessionRequestBurst", type: "integer", env: ["HORIZON_RATE_SESSION_REQUEST_BURST"], help: "proxied requests one session may make at once" },
+	{ key: "rateLimit.sessionRequestsPerSecond", type: "integer", env: ["HORIZON_RATE_SESSION_REQUESTS_PER_SECOND"], help: "sustained proxied requests per session per second" },
+	{ key: "cluster.workers", type: "workers", env: ["HORIZON_WORKERS"], flag: "workers", help: "worker processes: 0 = no cluster, \"auto\" = one per core" },
+	{ key: "shutdown.timeout", type: "integer", env: ["HORIZON_SHUTDOWN_TIMEOUT"], flag: "shutdown-timeout", help: "ms to let requests finish on SIGTERM/SIGINT" },
+	{ key: "chat.enabled", type: "boolean", env: ["HORIZON_CHAT"], help: "serve the horizon://chat WebSocket at /chat" },
+	{ key: "chat.historySize", type: "integer", env: ["HORIZON_CHAT_HISTORY"], help: "messages kept in memory per chat room" },
+	{ key: "chat.maxRooms", type: "integer", env: ["HORIZON_CHAT_MAX_ROOMS"], help: "chat rooms kept at once; empty rooms idle longest make way" },
+	{ key: "chat.maxMessageLength", type: "integer", env: ["HORIZON_CHAT_MAX_MESSAGE_LENGTH"], help: "characters in one chat message" },
+	{ key: "chat.messageBurst", type: "integer", env: ["HORIZON_CHAT_MESSAGE_BURST"], help: "chat messages one IP may send at once" },
+	{ key: "chat.messagesPerMinute", type: "integer", env: ["HORIZON_CHAT_MESSAGES_PER_MINUTE"], help: "sustained chat messages per IP per minute" },
+	{ key: "chat.maxConnectionsPerIp", type: "integer", env: ["HORIZON_CHAT_MAX_CONNECTIONS_PER_IP"], help: "open chat connections per IP" },
+	{ key: "monitoring.healthz", type: "boolean", env: ["HORIZON_HEALTHZ"], help: "serve /healthz" },
+	{ key: "monitoring.readyz", type: "boolean", env: ["HORIZON_READYZ"], help: "serve /readyz" },
+	{ key: "monitoring.metrics", type: "boolean", env: ["HORIZON_METRICS"], help: "serve /metrics (needs monitoring.token)" },
+	{ key: "monitoring.token", type: "string", nullable: true, env: ["HORIZON_MONITORING_TOKEN"], help: "bearer token for /metrics" },
+	{ key: "monitoring.protectHealth", type: "boolean", env: ["HORIZON_MONITORING_PROTECT_HEALTH"], help: "require the token on /healthz and /readyz too" },
+	{ key: "monitoring.sessionWindow", type: "integer", env: ["HORIZON_ACTIVE_SESSION_WINDOW"], help: "ms a session counts as active after its last request" }
+];
+
+function getPath(obj, key) {
+	return key.split(".").reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+function setPath(obj, key, value) {
+	const parts = key.split(".");
+	const last = parts.pop();
+	let target = obj;
+	for (const part of parts) {
+		if (typeof target[part] !== "object" || target[part] === null) target[part] = {};
+		target = target[part];
+	}
+	target[last] = value;
+}
+
+// Converts a raw env/flag string to the option's type. Returns { value } or { error }.
+function parseString(option, raw) {
+	const str = raw.trim();
+	if (option.nullable && (str === "" || str === "null")) return { value: null };
+	switch (option.type) {
+		case "workers":
+			if (str === "auto") return { value: str };
+		// falls through
+		case "port":
+		case "integer":
+			if (!/^\d+$/.test(str)) return { error: `expected a whole number, got "${raw}"` };
+			return { value: Number(str) };
+		case "ips":
+			return { value: str.split(",").map((s) => s.trim()).filter(Boolean) };
+		case "boolean":
+			if (/^(1|true|yes|on)$/i.test(str)) return { value: true };
+			if (/^(0|false|no|off)$/i.test(str)) return { value: false };
+			return { error: `expected true or false, got "${raw}"` };
+		default:
+			return { value: str };
+	}
+}
+
+// Returns an error message, or null when the (already typed) value is acceptable
+function validate(option, value) {
+	if (value === null) {
+		return option.nullable ? null : "must not be null";
+	}
+	switch (option.type) {
+		case "port":
+			return Number.isInteger(value) && value >= 0 && value <= 65535 ? null : `must be a port number (0-65535), got ${JSON.stringify(value)}`;
+		case "integer":
+			return Number.isInteger(value) && value >= 0 ? null : `must be a non-negative integer, got ${JSON.stringify(value)}`;
+		case "workers":
+			return value === "auto" || (Number.isInteger(value) && value >= 0) ? null : `must be "auto" or a non-negative integer, got ${JSON.stringify(value)}`;
+		case "boolean":
+			return typeof value === "boolean" ? null : `must be true or false, got ${JSON.stringify(value)}`;
+		case "ips": {
+			if (!Array.isArray(value)) return `must be a list of IP addresses, got ${JSON.stringify(value)}`;
+			const bad = value.filter((ip) => typeof ip !== "string" || !isIP(ip));
+			return bad.length ? `contains invalid IP addresses: ${bad.map((ip) => JSON.stringify(ip)).join(", ")}` : null;
+		}
+		case "enum":
+			return option.values.includes(value) ? null : `must be one of ${option.values.join(", ")}, got ${JSON.stringify(value)}`;
+		default:
+			return typeof value === "string" && value !== "" ? null : `must be a non-empty string, got ${JSON.stringify(value)}`;
+	}
+}
+
+async function readConfigFile(file) {
+	const ext = extname(file).toLowerCase();
+	if (ext === ".json") return JSON.parse(readFileSync(file, "utf8"));
+	if (ext === ".js" || ext === ".mjs") {
+		const mod = await import(pathToFileURL(file).href);
+		return mod.default;
+	}
+	throw new Error(`unsupported config file type "${ext}" (use .json, .js or .mjs)`);
+}
+
+// Lists dotted keys in a config file object that no option knows about (typos, stale settings)
+function unknownKeys(obj, prefix = "") {
+	const known = new Set(OPTIONS.map((o) => o.key));
+	const sections = new Set(OPTIONS.filter((o) => o.key.includes(".")).map((o) => o.key.split(".")[0]));
+	const found = [];
+	for (const [k, v] of Object.entries(obj)) {
+		const key = prefix + k;
+		if (sections.has(key) && v && typeof v === "object" && !Array.isArray(v)) found.push(...unknownKeys(v, key + "."));
+		else if (!known.has(key)) found.push(key);
+	}
+	return found;
+}
+
+export function usage() {
+	const lines = [
+		"Usage: npm start -- [options]",
+		"",
+		`  ${"--config <file>".padEnd(40)} JSON or JS config file (env: HORIZON_CONFIG)`,
+		`  ${"--help".padEnd(40)} show this message`
+	];
+	for (const option of OPTIONS) {
+		if (!option.flag) continue;
+		const flag = option.type === "boolean" ? `--${option.flag}` : `--${option.flag} <value>`;
+		lines.push(`  ${flag.padEnd(40)} ${option.help} (env: ${option.env.join(", ")})`);
+	}
+	return lines.join("\n");
+}
+
+/**
+ * Builds the effective server configuration. Throws ConfigError listing every problem found,
+ * so a misconfigured instance refuses to start instead of running with surprising settings.
+ * @param {string[]} [argv] command-line arguments without the node binary and script
+ * @param {NodeJS.ProcessEnv} [env]
+ * @returns {Promise<object>} config, or { help: true } when --help was passed
+ */
+export async function loadConfig(argv = process.argv.slice(2), env = process.env) {
+	const problems = [];
+
+	const flagSpec = { config: { type: "string" }, help: { type: "boolean" } };
+	for (const option of OPTIONS) {
+		if (option.flag) flagSpec[option.flag] = { type: option.type === "boolean" ? "boolean" : "string" };
+	}
+	let flags;
+	try {
+		flags = parseArgs({ args: argv, options: flagSpec, allowPositionals: false }).values;
+	} catch (err) {
+		throw new ConfigError([err.message]);
+	}
+	if (flags.help) return { help: true };
+
+	const config = structuredClone(DEFAULTS);
+
+	const configFile = flags.config || env.HORIZON_CONFIG;
+	if (configFile) {
+		const file = resolve(configFile);
+		let fileConfig;
+		try {
+			fileConfig = await readConfigFile(file);
+		} catch (err) {
+			throw new ConfigError([`cannot read config file ${file}: ${err.message}`]);
+		}
+		if (!fileConfig || typeof fileConfig !== "object" || Array.isArray(fileConfig)) {
+			throw new ConfigError([`config file ${file} must contain an object`]);
+		}
+		for (const key of unknownKeys(fileConfig)) problems.push(`${file}: unknown option "${key}"`);
+		for (const option of OPTIONS) {
+			let value = getPath(fileConfig, option.key);
+			if (value === undefined) continue;
+			if (option.type === "path" && typeof value === "string" && value) value = resolve(dirname(file), value);
+			const error = validate(option, value);
+			if (error) problems.push(`${file}: "${option.key}" ${error}`);
+			else setPath(config, option.key, value);
+		}
+	}
+
+	const apply = (option, raw, source) => {
+		const parsed = parseString(option, raw);
+		const error = parsed.error || validate(option, parsed.value);
+		if (error) {
+			problems.push(`${source}: ${error}`);
+			return;
+		}
+		setPath(config, option.key, option.type === "path" && parsed.value ? resolve(parsed.value) : parsed.value);
+	};
+	for (const option of OPTIONS) {
+		const name = option.env.find((n) => env[n] !== undefined && env[n] !== "");
+		if (name) apply(option, env[name], `environment variable ${name}`);
+	}
+	for (const option of OPTIONS) {
+		if (!option.flag || flags[option.flag] === undefined) continue;
+		const raw = flags[option.flag];
+		apply(option, typeof raw === "boolean" ? String(raw) : raw, `--${option.flag}`);
+	}
+
+	// the password file is read last: whichever source named it, its content replaces any password set directly
+	if (config.passwordFile) {
+		try {
+			config.password = readFileSync(config.passwordFile, "utf8").split(/\r?\n/)[0].trim();
+			if (!config.password) problems.push(`password file ${config.passwordFile} is empty`);
+		} catch (err) {
+			problems.push(`cannot read password file ${config.passwordFile}: ${err.message}`);
+		}
+	}
+
+	try {
+		readFileSync(resolve(config.staticDir, "index.html"));
+	} catch (err) {
+		problems.push(`static directory ${config.staticDir} has no index.html`);
+	}
+
+	const { tls } = config;
+	if (!!tls.cert !== !!tls.key) problems.push("tls.cert and tls.key must be set together");
+	for (const file of [tls.cert, tls.key, tls.ca].filter(Boolean)) {
+		try {
+			readFileSync(file);
+		} catch (err) {
+			problems.push(`cannot read TLS file ${file}: ${err.message}`);
+		}
+	}
+	if (tls.redirectPort !== null && !tls.cert) problems.push("tls.redirectPort needs HTTPS (tls.cert and tls.key)");
+	if (tls.redirectPort !== null && tls.redirectPort === config.port) problems.push("tls.redirectPort must differ from port");
+
+	if (config.rateLimit.enabled) {
+		for (const key of ["sessionBurst", "sessionsPerHour", "requestBurst", "requestsPerSecond", "sessionRequestBurst", "sessionRequestsPerSecond"]) {
+			if (config.rateLimit[key] < 1) problems.push(`rateLimit.${key} must be at least 1 (disable rate limiting with rateLimit.enabled instead)`);
+		}
+	}
+	const workers = config.cluster.workers === "auto" ? availableParallelism() : config.cluster.workers;
+	if (config.chat.enabled) {
+		// over HTTPS the cluster primary picks workers by client IP, so one room would be split across processes
+		if (tls.cert && workers > 1) problems.push("chat.enabled needs a single process over HTTPS: turn the chat off or set cluster.workers to 0 or 1");
+		for (const key of ["historySize", "maxRooms", "maxMessageLength", "messageBurst", "messagesPerMinute", "maxConnectionsPerIp"]) {
+			if (config.chat[key] < 1) problems.push(`chat.${key} must be at least 1 (turn the chat off with chat.enabled instead)`);
+		}
+	}
+	if (config.monitoring.metrics && !config.monitoring.token) problems.push("monitoring.metrics needs monitoring.token");
+	// each worker counts for itself, and a scrape reaches whichever one the primary picks: counters would jump about
+	if (config.monitoring.metrics && workers > 1) problems.push("monitoring.metrics needs a single process: turn the metrics off or set cluster.workers to 0 or 1");
+	if (config.monitoring.protectHealth && !config.monitoring.token) problems.push("monitoring.protectHealth needs monitoring.token");
+
+	if (problems.length) throw new ConfigError(problems);
+	return config;
+}
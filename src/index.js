@@ -1,63 +1,65 @@
 import createRammerhead from "rammerhead/src/server/index.js";
 
-import { fileURLToPath } from "node:url";
-import { createServer } from "node:http";
-import { hostname } from "node:os";
-import serveStatic from "serve-static";
-import connect from "connect";
+import cluster from "node:cluster";
+import { loadConfig, usage, ConfigError } from "./config.js";
+import { createLogger } from "./logging.js";
+import { createHorizonServer, printListening } from "./server.js";
+import { startPrimary, startWorker, createWorkerRouting, resolveWorkerCount } from "./cluster.js";
 
-// The following message MAY NOT be removed
-console.log("Rammerhead easy deployment version\nThis program comes with ABSOLUTELY NO WARRANTY.\nThis is free software, and you are welcome to redistribute it\nunder the terms of the GNU General Public License as published by\nthe Free Software Foundation, either version 3 of the License, or\n(at your option) any later version.\n\nYou should have received a copy of the GNU General Public License\nalong with this program. If not, see <https://www.gnu.org/licenses/>.\n");
-
-const app = connect();
-const rh = createRammerhead();
-const server = createServer();
-
-// used when forwarding the script
-const rammerheadScopes = [
-	"/rammerhead.js",
-	"/hammerhead.js",
-	"/transport-worker.js",
-	"/task.js",
-	"/iframe-task.js",
-	"/worker-hammerhead.js",
-	"/messaging",
-	"/sessionexists",
-	"/deletesession",
-	"/newsession",
-	"/editsession",
-	"/needpassword",
-	"/syncLocalStorage",
-	"/api/shuffleDict"
-];
-const rammerheadSession = /^\/[a-z0-9]{32}/;
-
-function shouldRouteRh(req) {
-	const url = new URL(req.url, "http://0.0.0.0");
-	return (rammerheadScopes.includes(url.pathname) || rammerheadSession.test(url.pathname));
+if (cluster.isPrimary) {
+	// The following message MAY NOT be removed
+	console.log("Rammerhead easy deployment version\nThis program comes with ABSOLUTELY NO WARRANTY.\nThis is free software, and you are welcome to redistribute it\nunder the terms of the GNU General Public License as published by\nthe Free Software Foundation, either version 3 of the License, or\n(at your option) any later version.\n\nYou should have received a copy of the GNU General Public License\nalong with this program. If not, see <https://www.gnu.org/licenses/>.\n");
 }
 
-app.use((req, res, next) => {
-    if(shouldRouteRh(req)) rh.emit("request", req, res); else next();
-});
-
-app.use(serveStatic(fileURLToPath(new URL("../static/", import.meta.url))));
+let config;
+try {
+	config = await loadConfig();
+} catch (err) {
+	if (!(err instanceof ConfigError)) throw err;
+	console.error(err.message);
+	process.exit(1);
+}
+if (config.help) {
+	console.log(usage());
+	process.exit(0);
+}
 
-server.on("request", app);
-server.on("upgrade", (req, socket, head) => {
-    if(shouldRouteRh(req)) rh.emit("upgrade", req, socket, head); else socket.end();
+const workerSlot = cluster.isWorker ? Number(process.env.HORIZON_WORKER_SLOT) : null;
+// workers each rotate their own file; sharing one would make rotation race between processes
+const logger = createLogger({
+	level: config.logLevel,
+	...config.log,
+	file: config.log.file && cluster.isWorker ? `${config.log.file}.w${workerSlot}` : config.log.file
 });
 
-server.on("listening", () => {
-  const addr = server.address();
+if (cluster.isPrimary && resolveWorkerCount(config.cluster.workers) > 0) {
+	startPrimary(config, logger);
+} else {
+	const rh = createRammerhead({
+		...config.rammerhead,
+		logLevel: config.logLevel,
+		password: config.password,
+		staleCleanupOptions: config.sessions
+	});
+	// over HTTPS the primary routes by client IP and can't bounce requests, so only plain HTTP checks affinity
+	const routing = cluster.isWorker && !config.tls.cert ? createWorkerRouting(workerSlot, Number(process.env.HORIZON_WORKER_COUNT)) : {};
+	const horizon = createHorizonServer(config, rh, { logger, ...routing });
 
-  console.log(`Server running on port ${addr.port}`)
-  console.log("");
-  console.log("You can now view it in your browser.")
-  /* Code for listing IPS from website-aio */
-  console.log(`Local: http://${addr.family === "IPv6" ? `[${addr.address}]` : addr.address}${addr.port === 80? "" : ":" + addr.port}`);
-  console.log(`Local: http://localhost${addr.port === 80? "" : ":" + addr.port}`);
-  try { console.log(`On Your Network: http://${hostname()}${addr.port === 80? "" : ":" + addr.port}`); } catch (err) {/* Can't find LAN interface */};
-});
+	if (cluster.isWorker) {
+		startWorker(horizon, config.shutdown.timeout);
+	} else {
+		horizon.server.on("listening", () => printListening(horizon.server.address(), horizon.secure));
+		horizon.listen();
 
-server.listen({ port: process.env.PORT || 8080 })
\ No newline at end of file
+		let stopping = false;
+		const shutdown = (signal) => {
+			// second signal: don't wait any longer
+			if (stopping) process.exit(1);
+			stopping = true;
+			logger.info({ type: "shutdown", signal, timeout: config.shutdown.timeout });
+			horizon.drain(config.shutdown.timeout).then(() => process.exit(0));
+		};
+		process.on("SIGTERM", shutdown);
+		process.on("SIGINT", shutdown);
+	}
+}
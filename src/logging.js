@@ -0,0 +1,152 @@
+import { createWriteStream, existsSync, openSync, renameSync, rmSync, statSync } from "node:fs";
+import { createHmac, randomBytes, randomUUID } from "node:crypto";
+
+// same names and order as rammerhead's log levels, so one logLevel setting drives both
+const LEVELS = ["debug", "traffic", "info", "warn", "error"];
+
+// Appends to `file`, rotating to file.1 ... file.<maxFiles> once it would grow past maxSize bytes
+class RotatingFile {
+	constructor(file, maxSize, maxFiles) {
+		this.file = file;
+		this.maxSize = maxSize;
+		this.maxFiles = maxFiles;
+		this.size = existsSync(file) ? statSync(file).size : 0;
+		this.stream = this.open();
+	}
+
+	// opened synchronously so the file exists as soon as the stream does, even before anything is flushed
+	open() {
+		return createWriteStream(null, { fd: openSync(this.file, "a") });
+	}
+
+	write(line) {
+		const bytes = Buffer.byteLength(line);
+		if (this.maxSize && this.size > 0 && this.size + bytes > this.maxSize) {
+			try {
+				this.rotate();
+			} catch (err) {
+				// keep logging into the current file rather than taking the server down
+				console.warn(`Log rotation of ${this.file} failed: ${err.message}`);
+			}
+		}
+		this.stream.write(line);
+		this.size += bytes;
+	}
+
+	rotate() {
+		// the old stream still flushes its pending writes into the renamed file
+		this.stream.end();
+		rmSync(`${this.file}.${this.maxFiles}`, { force: true });
+		for (let i = this.maxFiles - 1; i >= 1; i--) {
+			if (existsSync(`${this.file}.${i}`)) renameSync(`${this.file}.${i}`, `${this.file}.${i + 1}`);
+		}
+		if (this.maxFiles > 0) renameSync(this.file, `${this.file}.1`);
+		else rmSync(this.file, { force: true });
+		this.stream = this.open();
+		this.size = 0;
+	}
+}
+
+/**
+ * JSON-lines logger. Each entry is one object with time and level added.
+ * @param {object} options
+ * @param {string} options.level minimum level, or "disabled"
+ * @param {string | null} options.file log file; stdout when null
+ * @param {number} options.maxSize bytes before rotating (0 = never)
+ * @param {number} options.maxFiles rotated files to keep
+ */
+export function createLogger({ level, file, maxSize, maxFiles }) {
+	const min = level === "disabled" ? Infinity : LEVELS.indexOf(level);
+	const out = file ? new RotatingFile(file, maxSize, maxFiles) : process.stdout;
+
+	const log = (lvl, entry) => {
+		if (LEVELS.indexOf(lvl) < min) return;
+		out.write(JSON.stringify({ time: new Date().toISOString(), level: lvl, ...entry }) + "\n");
+	};
+	const logger = { log };
+	for (const lvl of LEVELS) logger[lvl] = (entry) => log(lvl, entry);
+	return logger;
+}
+
+// Incoming request IDs (from a load balancer) are kept when they look like IDs, otherwise replaced
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Access log for the connect pipeline and the upgrade handler. Proxied target URLs never reach the log:
+ * they are replaced by "[redacted]" or, with urls: "hash", by a keyed hash that is stable for the life of
+ * the process (so repeated hits on one page can be correlated) but can't be reversed or compared across restarts.
+ * @param {ReturnType<typeof createLogger>} logger
+ * @param {{ access: boolean, urls: "redact" | "hash" }} options
+ * @param {object} hooks
+ * @param {(pathname: string) => string} hooks.classify
+ * @param {(pathname: string) => string | null} hooks.sessionOf
+ */
+export function createAccessLog(logger, options, { classify, sessionOf }) {
+	const hashKey = randomBytes(32);
+
+	function describeTarget(pathname) {
+		const route = classify(pathname);
+		const session = route === "session" ? sessionOf(pathname) : null;
+		// query strings are dropped everywhere: they carry the password and session IDs for the API routes
+		let path = pathname;
+		const slash = pathname.indexOf("/", 1);
+		if (session && slash !== -1) {
+			const prefix = pathname.slice(0, slash + 1);
+			const target = pathname.slice(slash + 1);
+			path = prefix + (options.urls === "hash" ? "#" + createHmac("sha256", hashKey).update(target).digest("hex").slice(0, 16) : "[redacted]");
+		}
+		return { route, session, path };
+	}
+
+	function requestId(req) {
+		const incoming = req.headers["x-request-id"];
+		return typeof incoming === "string" && REQUEST_ID.test(incoming) ? incoming : randomUUID();
+	}
+
+	return {
+		middleware(req, res, next) {
+			const id = requestId(req);
+			req.id = id;
+			res.setHeader("X-Request-Id", id);
+			if (!options.access) return next();
+
+			const start = process.hrtime.bigint();
+			let bytes = 0;
+			const count = (chunk, encoding) => {
+				if (chunk && typeof chunk !== "function") bytes += Buffer.isBuffer(chunk) ? chunk.length : Buffer.byteLength(chunk, typeof encoding === "string" ? encoding : undefined);
+			};
+			const { write, end } = res;
+			res.write = function (chunk, encoding, cb) {
+				count(chunk, encoding);
+				return write.call(this, chunk, encoding, cb);
+			};
+			res.end = function (chunk, encoding, cb) {
+				count(chunk, encoding);
+				return end.call(this, chunk, encoding, cb);
+			};
+
+			res.once("close", () => {
+				const { pathname } = new URL(req.url, "http://0.0.0.0");
+				logger.info({
+					type: "access",
+					id,
+					method: req.method,
+					...describeTarget(pathname),
+					status: res.writableFinished ? res.statusCode : null,
+					aborted: !res.writableFinished,
+					bytes,
+					duration: Number(process.hrtime.bigint() - start) / 1e6
+				});
+			});
+			next();
+		},
+
+		logUpgrade(req, accepted) {
+			if (!options.access) return;
+			const { pathname } = new URL(req.url, "http://0.0.0.0");
+			const id = requestId(req);
+			req.id = id;
+			logger.info({ type: "upgrade", id, ...describeTarget(pathname), accepted });
+		}
+	};
+}
@@ -0,0 +1,124 @@
+/*
+  Minimal Prometheus text-format metrics (counters, gauges, histograms with labels).
+  Just enough for /metrics without pulling in a client library.
+*/
+
+function escapeLabel(value) {
+	return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+	const entries = Object.entries(labels);
+	if (!entries.length) return "";
+	return "{" + entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",") + "}";
+}
+
+// label values in a fixed order, so { a, b } and { b, a } land in the same series
+function seriesKey(labelNames, labels) {
+	return JSON.stringify(labelNames.map((name) => (labels[name] === undefined ? "" : String(labels[name]))));
+}
+
+function labelsFromKey(labelNames, key) {
+	const values = JSON.parse(key);
+	return Object.fromEntries(labelNames.map((name, i) => [name, values[i]]));
+}
+
+class Metric {
+	constructor(type, name, help, labelNames = []) {
+		this.type = type;
+		this.name = name;
+		this.help = help;
+		this.labelNames = labelNames;
+		this.series = new Map();
+	}
+
+	header() {
+		return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+	}
+}
+
+export class Counter extends Metric {
+	constructor(name, help, labelNames) {
+		super("counter", name, help, labelNames);
+	}
+
+	inc(labels = {}, amount = 1) {
+		const key = seriesKey(this.labelNames, labels);
+		this.series.set(key, (this.series.get(key) || 0) + amount);
+	}
+
+	render() {
+		const lines = this.header();
+		for (const [key, value] of this.series) {
+			lines.push(`${this.name}${formatLabels(labelsFromKey(this.labelNames, key))} ${value}`);
+		}
+		return lines;
+	}
+}
+
+export class Gauge extends Metric {
+	// collect, when given, is called at scrape time and its return value is reported
+	constructor(name, help, collect = null) {
+		super("gauge", name, help);
+		this.collect = collect;
+		this.value = 0;
+	}
+
+	set(value) {
+		this.value = value;
+	}
+
+	render() {
+		return [...this.header(), `${this.name} ${this.collect ? this.collect() : this.value}`];
+	}
+}
+
+export class Histogram extends Metric {
+	constructor(name, help, labelNames, buckets) {
+		super("histogram", name, help, labelNames);
+		this.buckets = [...buckets].sort((a, b) => a - b);
+	}
+
+	observe(labels, value) {
+		const key = seriesKey(this.labelNames, labels);
+		let s = this.series.get(key);
+		if (!s) {
+			s = { counts: new Array(this.buckets.length).fill(0), sum: 0, count: 0 };
+			this.series.set(key, s);
+		}
+		this.buckets.forEach((le, i) => {
+			if (value <= le) s.counts[i]++;
+		});
+		s.sum += value;
+		s.count++;
+	}
+
+	render() {
+		const lines = this.header();
+		for (const [key, s] of this.series) {
+			const labels = labelsFromKey(this.labelNames, key);
+			this.buckets.forEach((le, i) => {
+				lines.push(`${this.name}_bucket${formatLabels({ ...labels, le })} ${s.counts[i]}`);
+			});
+			lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${s.count}`);
+			lines.push(`${this.name}_sum${formatLabels(labels)} ${s.sum}`);
+			lines.push(`${this.name}_count${formatLabels(labels)} ${s.count}`);
+		}
+		return lines;
+	}
+}
+
+export class Registry {
+	constructor() {
+		this.metrics = [];
+	}
+
+	register(metric) {
+		this.metrics.push(metric);
+		return metric;
+	}
+
+	render() {
+		return this.metrics.flatMap((m) => m.render()).join("\n") + "\n";
+	}
+}
@@ -0,0 +1,115 @@
+import { Registry, Counter, Gauge, Histogram } from "./metrics.js";
+import { safeEqual } from "./util.js";
+
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+// sessions tracked for horizon_active_sessions; past this the least recently seen make way
+const MAX_TRACKED_SESSIONS = 10000;
+const PRUNE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * /healthz, /readyz and /metrics plus the request instrumentation behind them.
+ * @param {object} options config.monitoring
+ * @param {object} hooks
+ * @param {(pathname: string) => string} hooks.classify route class of a path ("rammerhead", "session" or "static")
+ * @param {(pathname: string) => string | null} hooks.sessionOf session ID in a proxied path
+ * @param {() => boolean} hooks.isReady whether the server should receive traffic
+ */
+export function createMonitoring(options, { classify, sessionOf, isReady }) {
+	const registry = new Registry();
+	const requests = registry.register(new Counter("horizon_http_requests_total", "HTTP requests by route class and status code", ["route", "code"]));
+	const latency = registry.register(new Histogram("horizon_http_request_duration_seconds", "Time until the response finished, by route class", ["route"], LATENCY_BUCKETS));
+	const upgrades = registry.register(new Counter("horizon_websocket_upgrades_total", "WebSocket upgrade requests by route class and outcome", ["route", "result"]));
+	const limited = registry.register(new Counter("horizon_rate_limited_total", "Requests and upgrades refused with 429, by exhausted budget", ["budget"]));
+
+	// rammerhead keeps its session store to itself, so "active" means answered successfully in proxied traffic
+	// recently. The map is in order of last use, oldest first.
+	const lastSeen = new Map();
+	const windowMs = options.sessionWindow;
+	function prune() {
+		const cutoff = Date.now() - windowMs;
+		for (const [id, ts] of lastSeen) {
+			if (ts >= cutoff) break;
+			lastSeen.delete(id);
+		}
+	}
+	const pruner = setInterval(prune, Math.min(windowMs, PRUNE_INTERVAL_MS));
+	pruner.unref();
+	registry.register(new Gauge("horizon_active_sessions", `Sessions with proxied traffic in the last ${Math.round(windowMs / 1000)} seconds`, () => {
+		prune();
+		return lastSeen.size;
+	}));
+	registry.register(new Gauge("process_start_time_seconds", "Start time of the process since unix epoch in seconds", () => Math.round(Date.now() / 1000 - process.uptime())));
+	registry.register(new Gauge("process_resident_memory_bytes", "Resident memory size in bytes", () => process.memoryUsage().rss));
+
+	const endpoints = {
+		"/healthz": { enabled: options.healthz, protected: options.protectHealth, handle: (res) => send(res, 200, "ok") },
+		"/readyz": { enabled: options.readyz, protected: options.protectHealth, handle: (res) => (isReady() ? send(res, 200, "ready") : send(res, 503, "not ready")) },
+		"/metrics": { enabled: options.metrics, protected: true, handle: (res) => send(res, 200, registry.render(), "text/plain; version=0.0.4; charset=utf-8") }
+	};
+
+	// config validation makes sure protected endpoints only exist with a token
+	function authorized(req) {
+		const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+		return !!match && safeEqual(match[1], options.token);
+	}
+
+	// Any path can name a session, so only one rammerhead answered successfully is added; `refreshOnly` keeps
+	// a session that is already tracked alive without adding one
+	function touchSession(pathname, refreshOnly = false) {
+		const id = sessionOf(pathname);
+		if (!id || (refreshOnly && !lastSeen.has(id))) return;
+		lastSeen.delete(id);
+		lastSeen.set(id, Date.now());
+		if (lastSeen.size > MAX_TRACKED_SESSIONS) lastSeen.delete(lastSeen.keys().next().value);
+	}
+
+	return {
+		registry,
+
+		// connect middleware: answers the monitoring endpoints and times every other request
+		middleware(req, res, next) {
+			const { pathname } = new URL(req.url, "http://0.0.0.0");
+			const endpoint = endpoints[pathname];
+			if (endpoint && endpoint.enabled) {
+				if (endpoint.protected && !authorized(req)) {
+					res.setHeader("WWW-Authenticate", "Bearer");
+					send(res, 401, "unauthorized");
+					return;
+				}
+				endpoint.handle(res);
+				return;
+			}
+
+			const route = classify(pathname);
+			const start = process.hrtime.bigint();
+			res.once("close", () => {
+				const code = res.writableFinished ? String(res.statusCode) : "aborted";
+				if (route === "session" && res.writableFinished && res.statusCode < 400) touchSession(pathname);
+				requests.inc({ route, code });
+				latency.observe({ route }, Number(process.hrtime.bigint() - start) / 1e9);
+			});
+			next();
+		},
+
+		trackUpgrade(pathname, accepted) {
+			const route = classify(pathname);
+			if (accepted && route === "session") touchSession(pathname, true);
+			upgrades.inc({ route, result: accepted ? "accepted" : "rejected" });
+		},
+
+		trackRateLimited(budget) {
+			limited.inc({ budget });
+		},
+
+		close() {
+			clearInterval(pruner);
+		}
+	};
+}
+
+function send(res, status, body, type = "text/plain; charset=utf-8") {
+	res.statusCode = status;
+	res.setHeader("Content-Type", type);
+	res.setHeader("Cache-Control", "no-store");
+	res.end(body);
+}
@@ -0,0 +1,128 @@
+import { isIP } from "node:net";
+
+// idle buckets that have refilled completely carry no information and are dropped this often
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Token buckets keyed by client IP or session ID: `capacity` requests at once, refilled at `rate` per second
+export class BucketStore {
+	constructor(capacity, rate) {
+		this.capacity = capacity;
+		this.rate = rate;
+		this.buckets = new Map();
+	}
+
+	/** @returns {number} 0 when the request may go ahead, otherwise seconds until a token is available */
+	take(key, now = Date.now()) {
+		let bucket = this.buckets.get(key);
+		if (!bucket) {
+			bucket = { tokens: this.capacity, updated: now };
+			this.buckets.set(key, bucket);
+		}
+		bucket.tokens = Math.min(this.capacity, bucket.tokens + ((now - bucket.updated) / 1000) * this.rate);
+		bucket.updated = now;
+		if (bucket.tokens >= 1) {
+			bucket.tokens -= 1;
+			return 0;
+		}
+		return Math.ceil((1 - bucket.tokens) / this.rate);
+	}
+
+	sweep(now = Date.now()) {
+		for (const [key, bucket] of this.buckets) {
+			if (bucket.tokens + ((now - bucket.updated) / 1000) * this.rate >= this.capacity) this.buckets.delete(key);
+		}
+	}
+}
+
+function normalizeIp(ip) {
+	if (!ip) return "unknown";
+	return ip.startsWith("::ffff:") && isIP(ip.slice(7)) === 4 ? ip.slice(7) : ip;
+}
+
+/**
+ * Client address of a request. X-Forwarded-For is only believed when the connection comes from one of
+ * `trustedProxies`; the chain is then walked from the right, skipping further trusted hops, so a client
+ * can't pick its own address by sending the header itself.
+ * @param {import("node:http").IncomingMessage} req
+ * @param {Set<string>} trustedProxies
+ */
+export function clientIp(req, trustedProxies) {
+	let ip = normalizeIp(req.socket.remoteAddress);
+	if (!trustedProxies.has(ip)) return ip;
+	const chain = String(req.headers["x-forwarded-for"] || "").split(",").map((s) => s.trim()).filter(Boolean);
+	while (chain.length && trustedProxies.has(ip)) ip = normalizeIp(chain.pop());
+	return ip;
+}
+
+/**
+ * Per-IP and per-session limits for the connect pipeline and the upgrade handler, with three budgets:
+ * creating sessions (/newsession, per IP), proxied traffic per IP, and proxied traffic per session.
+ * Static files are never limited.
+ * @param {object} options config.rateLimit
+ * @param {object} hooks
+ * @param {(pathname: string) => string} hooks.classify
+ * @param {(pathname: string) => string | null} hooks.sessionOf
+ * @param {(budget: string) => void} [hooks.onLimited] called for every rejected request
+ */
+export function createRateLimiter(options, { classify, sessionOf, onLimited = () => {} }) {
+	const trusted = new Set(options.trustedProxies.map(normalizeIp));
+	const budgets = {
+		sessionCreation: new BucketStore(options.sessionBurst, options.sessionsPerHour / 3600),
+		ip: new BucketStore(options.requestBurst, options.requestsPerSecond),
+		session: new BucketStore(options.sessionRequestBurst, options.sessionRequestsPerSecond)
+	};
+	const sweeper = setInterval(() => Object.values(budgets).forEach((b) => b.sweep()), SWEEP_INTERVAL_MS);
+	sweeper.unref();
+
+	// Returns { budget, retryAfter } for the first budget that is exhausted, or null
+	function check(req) {
+		if (!options.enabled) return null;
+		const { pathname } = new URL(req.url, "http://0.0.0.0");
+		const route = classify(pathname);
+		if (route === "static") return null;
+		const ip = clientIp(req, trusted);
+		const attempts = [];
+		if (pathname === "/newsession") attempts.push(["sessionCreation", ip]);
+		attempts.push(["ip", ip]);
+		const session = route === "session" ? sessionOf(pathname) : null;
+		if (session) attempts.push(["session", session]);
+		for (const [budget, key] of attempts) {
+			const retryAfter = budgets[budget].take(key);
+			if (retryAfter) {
+				onLimited(budget);
+				return { budget, retryAfter };
+			}
+		}
+		return null;
+	}
+
+	return {
+		middleware(req, res, next) {
+			const limited = check(req);
+			if (!limited) return next();
+			res.statusCode = 429;
+			res.setHeader("Retry-After", String(limited.retryAfter));
+			res.setHeader("Content-Type", "text/plain");
+			res.end("Too many requests");
+		},
+
+		/** @returns {boolean} true when the upgrade was refused (and the socket answered and closed) */
+		rejectUpgrade(req, socket) {
+			const limited = check(req);
+			if (!limited) return false;
+			// a client that resets the connection must not leave an unhandled "error"
+			socket.on("error", () => socket.destroy());
+			socket.end(`HTTP/1.1 429 Too Many Requests\r\nRetry-After: ${limited.retryAfter}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+			return true;
+		},
+
+		/** The client address rate limits are kept by, honoring trustedProxies */
+		clientIp(req) {
+			return clientIp(req, trusted);
+		},
+
+		close() {
+			clearInterval(sweeper);
+		}
+	};
+}
@@ -0,0 +1,280 @@
+import { createServer } from "node:http";
+import { hostname } from "node:os";
+import serveStatic from "serve-static";
+import connect from "connect";
+import { createTlsServer, createRedirectServer } from "./tls.js";
+import { createMonitoring } from "./monitoring.js";
+import { createAccessLog } from "./logging.js";
+import { createRateLimiter } from "./ratelimit.js";
+import { createChat, CHAT_PATH } from "./chat.js";
+import { Gauge } from "./metrics.js";
+import { safeEqual } from "./util.js";
+
+// used when forwarding the script
+export const rammerheadScopes = [
+	"/rammerhead.js",
+	"/hammerhead.js",
+	"/transport-worker.js",
+	"/task.js",
+	"/iframe-task.js",
+	"/worker-hammerhead.js",
+	"/messaging",
+	"/sessionexists",
+	"/deletesession",
+	"/newsession",
+	"/editsession",
+	"/needpassword",
+	"/syncLocalStorage",
+	"/api/shuffleDict"
+];
+const rammerheadSession = /^\/([a-z0-9]{32})/;
+
+// session management endpoints that need the password; proxied pages themselves don't
+const passwordScopes = [
+	"/sessionexists",
+	"/deletesession",
+	"/newsession",
+	"/editsession",
+	"/api/shuffleDict"
+];
+
+// "rammerhead" for its scripts and API, "session" for proxied traffic, "chat" for horizon://chat's socket,
+// "static" for everything else
+export function classifyRoute(pathname) {
+	if (rammerheadScopes.includes(pathname)) return "rammerhead";
+	if (rammerheadSession.test(pathname)) return "session";
+	if (pathname === CHAT_PATH) return "chat";
+	return "static";
+}
+
+export function sessionOf(pathname) {
+	const match = rammerheadSession.exec(pathname);
+	return match ? match[1] : null;
+}
+
+export function shouldRouteRh(req) {
+	const url = new URL(req.url, "http://0.0.0.0");
+	const route = classifyRoute(url.pathname);
+	return route === "rammerhead" || route === "session";
+}
+
+// Rammerhead answers /newsession with the new ID as the whole body. The answer is held back until `callback`
+// has seen the ID and its promise has settled.
+function holdNewSession(res, callback) {
+	const chunks = [];
+	const { write, end } = res;
+	res.write = function (chunk, ...args) {
+		if (chunk) chunks.push(Buffer.from(chunk));
+		return write.call(this, chunk, ...args);
+	};
+	res.end = function (chunk, ...args) {
+		if (chunk && typeof chunk !== "function") chunks.push(Buffer.from(chunk));
+		const id = Buffer.concat(chunks).toString("utf8").trim();
+		if (res.statusCode !== 200 || !/^[a-z0-9]{32}$/.test(id)) return end.call(this, chunk, ...args);
+		callback(id).finally(() => end.call(this, chunk, ...args));
+		return this;
+	};
+}
+
+/**
+ * Builds the Horizon server around a rammerhead instance. Nothing listens yet: call listen() for a
+ * standalone process, or feed connections to `server` from the cluster primary.
+ * @param {object} config result of loadConfig()
+ * @param {import("node:events").EventEmitter} rh rammerhead proxy from createRammerhead()
+ * @param {object} options
+ * @param {ReturnType<import("./logging.js").createLogger>} options.logger
+ * @param {(req: import("node:http").IncomingMessage) => boolean} [options.misrouted] cluster workers only:
+ *   whether a request on a reused connection belongs to another worker
+ * @param {(id: string) => Promise<void>} [options.sessionCreated] cluster workers only: called with the ID of
+ *   every session rammerhead creates here; the answer to /newsession waits for it
+ */
+export function createHorizonServer(config, rh, { logger, misrouted = () => false, sessionCreated = null }) {
+	const password = config.password;
+	const secure = !!config.tls.cert;
+	const app = connect();
+	const server = secure ? createTlsServer(config.tls) : createServer();
+
+	let ready = false;
+	let draining = null;
+	let activeRequests = 0;
+	const upgradeSockets = new Map(); // socket -> whether it is a chat connection
+
+	const monitoring = createMonitoring(config.monitoring, { classify: classifyRoute, sessionOf, isReady: () => ready && !draining });
+	const accessLog = createAccessLog(logger, config.log, { classify: classifyRoute, sessionOf });
+	const rateLimiter = createRateLimiter(config.rateLimit, { classify: classifyRoute, sessionOf, onLimited: monitoring.trackRateLimited });
+	const chat = config.chat.enabled ? createChat(config.chat, { clientIp: rateLimiter.clientIp, onLimited: monitoring.trackRateLimited }) : null;
+	if (chat) monitoring.registry.register(new Gauge("horizon_chat_connections", "Open horizon://chat connections", () => chat.connections()));
+
+	function isAuthorized(url) {
+		if (!password) return true;
+		return safeEqual(url.searchParams.get("pwd") || "", password);
+	}
+
+	// A keep-alive connection is pinned to the worker its first request was routed to; a later request for a
+	// session owned by another worker is bounced to a fresh connection, which the primary routes correctly
+	app.use((req, res, next) => {
+		if (draining) res.setHeader("Connection", "close");
+		if (!misrouted(req)) return next();
+		res.statusCode = 307;
+		res.setHeader("Location", req.url);
+		res.setHeader("Connection", "close");
+		res.end();
+	});
+
+	// health checks and metrics come before anything else so they never reach rammerhead (or the access log)
+	app.use(monitoring.middleware);
+	app.use(accessLog.middleware);
+	app.use(rateLimiter.middleware);
+
+	// The password is checked here as well as inside rammerhead, so a build of it that ignores the option
+	// still can't be used without the password
+	app.use((req, res, next) => {
+		const url = new URL(req.url, "http://0.0.0.0");
+		if (url.pathname === "/needpassword") {
+			res.setHeader("Content-Type", "text/plain");
+			res.end(password ? "true" : "false");
+			return;
+		}
+		if (passwordScopes.includes(url.pathname) && !isAuthorized(url)) {
+			res.statusCode = 403;
+			res.setHeader("Content-Type", "text/plain");
+			res.end("bad password");
+			return;
+		}
+		next();
+	});
+
+	if (sessionCreated) app.use((req, res, next) => {
+		if (new URL(req.url, "http://0.0.0.0").pathname === "/newsession") holdNewSession(res, sessionCreated);
+		next();
+	});
+
+	app.use((req, res, next) => {
+		if(shouldRouteRh(req)) rh.emit("request", req, res); else next();
+	});
+
+	app.use(serveStatic(config.staticDir));
+
+	server.on("request", (req, res) => {
+		activeRequests++;
+		res.once("close", () => {
+			activeRequests--;
+			if (draining) drainStep();
+		});
+		app(req, res);
+	});
+	// The chat socket needs the password like the session endpoints; whatever is refused has been answered
+	function acceptChat(req, socket, head) {
+		if (!isAuthorized(new URL(req.url, "http://0.0.0.0"))) {
+			socket.on("error", () => socket.destroy());
+			socket.end("HTTP/1.1 403 Forbidden\r\nConnection: close\r\nContent-Length: 0\r\n\r\n");
+			return false;
+		}
+		return chat.handleUpgrade(req, socket, head);
+	}
+
+	server.on("upgrade", (req, socket, head) => {
+		const isChat = !!chat && classifyRoute(new URL(req.url, "http://0.0.0.0").pathname) === "chat";
+		// a rate-limited upgrade has already been answered with 429 by rejectUpgrade
+		let accepted = !draining && (isChat || shouldRouteRh(req)) && !rateLimiter.rejectUpgrade(req, socket);
+		if (accepted && isChat) accepted = acceptChat(req, socket, head);
+		monitoring.trackUpgrade(new URL(req.url, "http://0.0.0.0").pathname, accepted);
+		accessLog.logUpgrade(req, accepted);
+		if (!accepted) {
+			// refused sockets may still be reset by the client; that must not be an unhandled "error"
+			if (!socket.listenerCount("error")) socket.on("error", () => socket.destroy());
+			if (!socket.writableEnded) socket.end();
+			return;
+		}
+		upgradeSockets.set(socket, isChat);
+		socket.once("close", () => upgradeSockets.delete(socket));
+		if (!isChat) rh.emit("upgrade", req, socket, head);
+	});
+	server.on("listening", () => {
+		ready = true;
+	});
+
+	let redirect = null;
+
+	// Called whenever a request finishes while draining: idle keep-alive connections are dropped, and once
+	// no HTTP request is in flight the chat is told the server is going away. Rammerhead's WebSockets may be
+	// in the middle of relaying a frame, so they only get the connection ended.
+	function drainStep() {
+		server.closeIdleConnections();
+		if (activeRequests > 0) return;
+		if (chat) chat.goAway();
+		for (const [socket, isChat] of upgradeSockets) {
+			if (!isChat && !socket.writableEnded) socket.end();
+		}
+	}
+
+	return {
+		server,
+		secure,
+
+		listen() {
+			server.listen({ port: config.port, host: config.host || undefined });
+			if (config.tls.redirectPort !== null) {
+				redirect = createRedirectServer(config.port);
+				redirect.on("listening", () => console.log(`Redirecting http://*:${redirect.address().port} to HTTPS`));
+				redirect.listen({ port: config.tls.redirectPort, host: config.host || undefined });
+			}
+		},
+
+		// cluster workers never listen themselves; they are ready once the primary can hand them connections
+		markReady() {
+			ready = true;
+		},
+
+		/**
+		 * Graceful shutdown: stop accepting connections, let in-flight requests finish, then close the chat
+		 * with "going away" and end proxied WebSockets. Whatever is still open after timeoutMs is cut off.
+		 * @param {number} timeoutMs
+		 * @returns {Promise<void>} resolves when every connection is closed
+		 */
+		drain(timeoutMs) {
+			if (draining) return draining;
+			draining = new Promise((resolve) => {
+				const timer = setTimeout(() => {
+					logger.warn({ type: "shutdown", message: "drain timeout reached, closing remaining connections", activeRequests, websockets: upgradeSockets.size });
+					server.closeAllConnections();
+					for (const socket of upgradeSockets.keys()) socket.destroy();
+				}, timeoutMs);
+				timer.unref();
+				// a server that never listened (cluster worker) has nothing to close, but still tracks connections
+				if (server.listening) server.close(() => {
+					clearTimeout(timer);
+					resolve();
+				});
+				else {
+					const check = setInterval(() => {
+						if (activeRequests > 0 || upgradeSockets.size > 0) return;
+						clearInterval(check);
+						clearTimeout(timer);
+						resolve();
+					}, 100);
+				}
+				if (redirect) redirect.close();
+				rateLimiter.close();
+				monitoring.close();
+				if (chat) chat.close();
+				drainStep();
+			});
+			return draining;
+		}
+	};
+}
+
+// Local/Network URLs for the console once a listener is up
+export function printListening(addr, secure) {
+  const scheme = secure ? "https" : "http";
+  const port = addr.port === (secure ? 443 : 80) ? "" : ":" + addr.port;
+
+  console.log(`Server running on port ${addr.port}`)
+  console.log("");
+  console.log("You can now view it in your browser.")
+  /* Code for listing IPS from website-aio */
+  console.log(`Local: ${scheme}://${addr.family === "IPv6" ? `[${addr.address}]` : addr.address}${port}`);
+  console.log(`Local: ${scheme}://localhost${port}`);
+  try { console.log(`On Your Network: ${scheme}://${hostname()}${port}`); } catch (err) {/* Can't find LAN interface */};
+}
@@ -0,0 +1,67 @@
+import { createServer as createHttpsServer } from "node:https";
+import { createServer as createHttpServer } from "node:http";
+import { createSecureContext } from "node:tls";
+import { readFileSync, watchFile } from "node:fs";
+
+// how often the certificate files are stat'ed; polling (rather than fs.watch) survives the
+// rename/symlink swaps that certbot and similar tools use when renewing
+const WATCH_INTERVAL_MS = 10 * 1000;
+// renewals usually write cert and key one after the other; wait for both before reloading
+const RELOAD_DELAY_MS = 1000;
+
+function readCredentials(tls) {
+	return {
+		cert: readFileSync(tls.cert),
+		key: readFileSync(tls.key),
+		ca: tls.ca ? readFileSync(tls.ca) : undefined
+	};
+}
+
+/**
+ * HTTPS server whose certificate is re-read whenever the cert, key or CA file changes.
+ * A reload that fails (half-written file, key not matching the cert) keeps the previous certificate.
+ * @param {{ cert: string, key: string, ca: string | null, watch: boolean }} tls
+ */
+export function createTlsServer(tls) {
+	const server = createHttpsServer(readCredentials(tls));
+	if (!tls.watch) return server;
+
+	let timer = null;
+	const reload = () => {
+		timer = null;
+		try {
+			const credentials = readCredentials(tls);
+			// throws on unparsable or mismatched cert/key, before the live context is touched
+			createSecureContext(credentials);
+			server.setSecureContext(credentials);
+			console.log(`TLS certificate reloaded from ${tls.cert}`);
+		} catch (err) {
+			console.warn(`TLS certificate reload failed, keeping the previous one: ${err.message}`);
+		}
+	};
+	const onChange = (curr, prev) => {
+		if (curr.mtimeMs === prev.mtimeMs && curr.ino === prev.ino) return;
+		clearTimeout(timer);
+		timer = setTimeout(reload, RELOAD_DELAY_MS);
+	};
+	for (const file of [tls.cert, tls.key, tls.ca].filter(Boolean)) {
+		watchFile(file, { interval: WATCH_INTERVAL_MS, persistent: false }, onChange);
+	}
+	return server;
+}
+
+/**
+ * Plain HTTP listener that sends every request to the same host and path over HTTPS.
+ * @param {number} httpsPort port the TLS listener is reachable on
+ */
+export function createRedirectServer(httpsPort) {
+	const server = createHttpServer((req, res) => {
+		const host = (req.headers.host || "localhost").replace(/:\d+$/, "");
+		const port = httpsPort === 443 ? "" : ":" + httpsPort;
+		res.statusCode = 301;
+		res.setHeader("Location", `https://${host}${port}${req.url}`);
+		res.end();
+	});
+	server.on("upgrade", (req, socket) => socket.end());
+	return server;
+}
@@ -0,0 +1,10 @@
+import { createHash, timingSafeEqual } from "node:crypto";
+
+function sha256(str) {
+	return createHash("sha256").update(str).digest();
+}
+
+// Compares secrets via their digests so the check takes the same time whatever the input length
+export function safeEqual(a, b) {
+	return timingSafeEqual(sha256(String(a)), sha256(String(b)));
+}
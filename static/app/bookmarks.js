@@ -0,0 +1,378 @@
+import { toUrl } from "../lib/search.js";
+import { newBookmarkId, childrenOf, folderPath, removeBookmark, moveBookmark, exportNetscape, parseNetscape } from "../lib/bookmarks.js";
+import { INTERNAL_PREFIX, store, state, db, windows, nowISO } from "./state.js";
+import { dom } from "./dom.js";
+import { linkHandlers } from "./tabs.js";
+
+// Bookmarks: the star, the bookmark bar with its folder dropdowns, and horizon://bookmarks
+
+export function isBookmarked(url) {
+  return state.bookmarks.some(b => b.url === url);
+}
+
+/** Replaces the bookmark list (tree order is array order) and saves it. */
+export const setBookmarks = store.action((items) => {
+  store.set("bookmarks", items);
+  db.syncOrdered("bookmarks", state.bookmarks);
+  windows.post({ type: "bookmarks", items: state.bookmarks });
+});
+
+export function toggleBookmark(url, title) {
+  if (!url) return;
+  if (isBookmarked(url)) {
+    setBookmarks(state.bookmarks.filter(b => b.url !== url));
+  } else {
+    setBookmarks([{ id: newBookmarkId(), url, title: title || url, createdOn: nowISO(), parentId: null }].concat(state.bookmarks));
+  }
+}
+
+/* ---------- Bookmark bar ---------- */
+
+export function renderBookmarks() {
+  const container = dom.bookmarksContainer();
+  container.innerHTML = "";
+  closeBookmarkMenu();
+  if (!state.settings.showBookmarkBar) {
+    dom.bookmarkBar().style.display = "none";
+    return;
+  } else dom.bookmarkBar().style.display = "";
+
+  childrenOf(state.bookmarks, null).forEach((bm) => {
+    const b = document.createElement("button");
+    b.className = "bookmark";
+    if (bm.folder) {
+      b.classList.add("bookmark-folder");
+      b.textContent = bm.title + " ▾";
+      b.onclick = (e) => {
+        e.stopPropagation();
+        toggleBookmarkMenu(bm.id, b);
+      };
+    } else {
+      b.textContent = bm.title || bm.url;
+      b.title = bm.url;
+      // current tab, or a new one with a modifier or the middle button
+      linkHandlers(b, bm.url);
+    }
+    container.appendChild(b);
+  });
+}
+
+// Folder dropdowns live on <body>: the bar scrolls horizontally and would clip them
+let bookmarkMenu = null;
+
+function closeBookmarkMenu() {
+  if (bookmarkMenu) bookmarkMenu.remove();
+  bookmarkMenu = null;
+}
+
+/** Closes an open folder dropdown unless `target` (what was clicked) is inside it. */
+export function dismissBookmarkMenu(target) {
+  if (bookmarkMenu && !bookmarkMenu.contains(target)) closeBookmarkMenu();
+}
+
+function buildBookmarkMenu(folderId) {
+  const menu = document.createElement("div");
+  menu.className = "popup-menu";
+  const children = childrenOf(state.bookmarks, folderId);
+  if (!children.length) {
+    const empty = document.createElement("div");
+    empty.className = "popup-menu-empty";
+    empty.textContent = "(empty)";
+    menu.appendChild(empty);
+  }
+  children.forEach(bm => {
+    const item = document.createElement("div");
+    item.className = "popup-menu-item";
+    if (bm.folder) {
+      // subfolders open to the side on hover
+      item.classList.add("has-submenu");
+      item.textContent = bm.title;
+      item.appendChild(buildBookmarkMenu(bm.id));
+    } else {
+      item.textContent = bm.title || bm.url;
+      item.title = bm.url;
+      linkHandlers(item, bm.url, closeBookmarkMenu);
+    }
+    menu.appendChild(item);
+  });
+  return menu;
+}
+
+function toggleBookmarkMenu(folderId, anchor) {
+  const wasOpen = bookmarkMenu && bookmarkMenu.dataset.folderId === folderId;
+  closeBookmarkMenu();
+  if (wasOpen) return;
+  bookmarkMenu = buildBookmarkMenu(folderId);
+  bookmarkMenu.dataset.folderId = folderId;
+  const rect = anchor.getBoundingClientRect();
+  bookmarkMenu.style.left = rect.left + "px";
+  bookmarkMenu.style.top = rect.bottom + 4 + "px";
+  document.body.appendChild(bookmarkMenu);
+}
+
+/* ---------- horizon://bookmarks ---------- */
+
+// The folder tree with editing and drag-and-drop, or a flat list while searching (?q= in the URI)
+export function buildBookmarksPage(page, route) {
+  const title = document.createElement("h2");
+  title.textContent = "Bookmarks";
+  page.appendChild(title);
+
+  const toolbar = document.createElement("div");
+  toolbar.className = "page-toolbar";
+  toolbar.innerHTML = `<input class="form-control" type="search" id="bookmarks-search" placeholder="Search bookmarks" autocomplete="off">
+    <button class="btn btn-outline-light btn-sm" id="bookmarks-newFolder">New folder</button>
+    <button class="btn btn-outline-light btn-sm" id="bookmarks-import">Import…</button>
+    <button class="btn btn-outline-light btn-sm" id="bookmarks-export">Export</button>
+    <input type="file" accept=".html,.htm,text/html" id="bookmarks-importFile" hidden>`;
+  page.appendChild(toolbar);
+  const message = document.createElement("div");
+  message.className = "setting-error";
+  page.appendChild(message);
+  const tree = document.createElement("ul");
+  tree.className = "bookmark-tree";
+  page.appendChild(tree);
+
+  const search = toolbar.querySelector("#bookmarks-search");
+  search.value = route.params.q || "";
+  const importFile = toolbar.querySelector("#bookmarks-importFile");
+  const collapsed = new Set();
+  let editingId = null;
+  let draggedId = null;
+
+  function startEditing(id) {
+    editingId = id;
+    renderTree();
+    const input = tree.querySelector(".bookmark-edit input");
+    if (input) input.focus();
+  }
+
+  function editForm(bm) {
+    const form = document.createElement("form");
+    form.className = "bookmark-edit";
+    const titleInput = document.createElement("input");
+    titleInput.className = "form-control form-control-sm";
+    titleInput.value = bm.title || "";
+    titleInput.placeholder = "Name";
+    form.appendChild(titleInput);
+    let urlInput = null;
+    if (!bm.folder) {
+      urlInput = document.createElement("input");
+      urlInput.className = "form-control form-control-sm";
+      urlInput.value = bm.url;
+      urlInput.placeholder = "URL";
+      form.appendChild(urlInput);
+    }
+    const save = document.createElement("button");
+    save.className = "btn btn-outline-light btn-sm";
+    save.type = "submit";
+    save.textContent = "Save";
+    const cancel = document.createElement("button");
+    cancel.className = "btn btn-outline-secondary btn-sm";
+    cancel.type = "button";
+    cancel.textContent = "Cancel";
+    cancel.onclick = () => {
+      editingId = null;
+      message.textContent = "";
+      renderTree();
+    };
+    form.append(save, cancel);
+    form.onsubmit = (e) => {
+      e.preventDefault();
+      const changes = { title: titleInput.value.trim() };
+      if (urlInput) {
+        const raw = urlInput.value.trim();
+        const url = raw.startsWith(INTERNAL_PREFIX) ? raw : toUrl(raw);
+        if (!url) {
+          message.textContent = "Not a valid URL: " + raw;
+          return;
+        }
+        changes.url = url;
+        changes.title = changes.title || url;
+      } else if (!changes.title) {
+        message.textContent = "Folder name is required";
+        return;
+      }
+      message.textContent = "";
+      editingId = null;
+      setBookmarks(state.bookmarks.map(item => item.id === bm.id ? { ...item, ...changes } : item));
+    };
+    return form;
+  }
+
+  // Where a drop on this row lands: before or after it, or inside when dropped on the middle of a folder
+  function dropZone(e, row, bm) {
+    const rect = row.getBoundingClientRect();
+    const y = (e.clientY - rect.top) / rect.height;
+    if (bm.folder && y > 0.25 && y < 0.75) return "into";
+    return y < 0.5 ? "before" : "after";
+  }
+
+  function clearDropMarks() {
+    tree.querySelectorAll(".drop-before, .drop-after, .drop-into").forEach(el => el.classList.remove("drop-before", "drop-after", "drop-into"));
+  }
+
+  function dropOn(bm, zone) {
+    const parentId = zone === "into" ? bm.id : (bm.parentId || null);
+    let beforeId = null;
+    if (zone === "before") beforeId = bm.id;
+    else if (zone === "after") {
+      const siblings = childrenOf(state.bookmarks, parentId).filter(i => i.id !== draggedId);
+      const next = siblings[siblings.findIndex(i => i.id === bm.id) + 1];
+      beforeId = next ? next.id : null;
+    }
+    try {
+      const moved = moveBookmark(state.bookmarks, draggedId, parentId, beforeId);
+      if (zone === "into") collapsed.delete(bm.id);
+      message.textContent = "";
+      setBookmarks(moved);
+    } catch (err) {
+      message.textContent = err;
+    }
+  }
+
+  function bookmarkRow(bm, draggable) {
+    const li = document.createElement("li");
+    if (bm.id === editingId) {
+      li.appendChild(editForm(bm));
+      return li;
+    }
+    const row = document.createElement("div");
+    row.className = "bookmark-row" + (bm.folder ? " folder" : "");
+    row.draggable = draggable;
+
+    const label = document.createElement("span");
+    label.className = "bookmark-row-title";
+    if (bm.folder) {
+      label.textContent = (collapsed.has(bm.id) ? "▸ " : "▾ ") + "📁 " + bm.title;
+      label.onclick = () => {
+        if (collapsed.has(bm.id)) collapsed.delete(bm.id);
+        else collapsed.add(bm.id);
+        renderTree();
+      };
+    } else {
+      const link = document.createElement("a");
+      link.href = "#";
+      link.textContent = bm.title || bm.url;
+      linkHandlers(link, bm.url);
+      label.appendChild(link);
+    }
+    row.appendChild(label);
+    const detail = document.createElement("span");
+    detail.className = "bookmark-row-url";
+    // while searching, the folder tells apart bookmarks with the same name
+    const path = draggable ? [] : folderPath(state.bookmarks, bm);
+    detail.textContent = bm.folder ? childrenOf(state.bookmarks, bm.id).length + " items" : (path.length ? path.join(" / ") + " — " : "") + bm.url;
+    row.appendChild(detail);
+
+    const edit = document.createElement("button");
+    edit.className = "h-small-btn";
+    edit.textContent = "Edit";
+    edit.onclick = () => startEditing(bm.id);
+    const remove = document.createElement("button");
+    remove.className = "h-small-btn";
+    remove.textContent = "Delete";
+    remove.onclick = () => {
+      if (bm.folder && childrenOf(state.bookmarks, bm.id).length && !confirm(`Delete "${bm.title}" and everything in it?`)) return;
+      setBookmarks(removeBookmark(state.bookmarks, bm.id));
+    };
+    row.append(edit, remove);
+
+    if (draggable) {
+      row.ondragstart = (e) => {
+        draggedId = bm.id;
+        e.dataTransfer.effectAllowed = "move";
+        e.dataTransfer.setData("text/plain", bm.id);
+      };
+      row.ondragend = () => {
+        draggedId = null;
+        clearDropMarks();
+      };
+      row.ondragover = (e) => {
+        if (!draggedId || draggedId === bm.id) return;
+        e.preventDefault();
+        e.stopPropagation();
+        clearDropMarks();
+        row.classList.add("drop-" + dropZone(e, row, bm));
+      };
+      row.ondragleave = () => row.classList.remove("drop-before", "drop-after", "drop-into");
+      row.ondrop = (e) => {
+        if (!draggedId) return;
+        e.preventDefault();
+        e.stopPropagation();
+        const zone = dropZone(e, row, bm);
+        clearDropMarks();
+        dropOn(bm, zone);
+      };
+    }
+    li.appendChild(row);
+
+    if (bm.folder && draggable && !collapsed.has(bm.id)) {
+      const sub = document.createElement("ul");
+      childrenOf(state.bookmarks, bm.id).forEach(child => sub.appendChild(bookmarkRow(child, true)));
+      li.appendChild(sub);
+    }
+    return li;
+  }
+
+  function renderTree() {
+    tree.innerHTML = "";
+    const words = search.value.trim().toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length) {
+      const matches = state.bookmarks.filter(bm => !bm.folder && words.every(w => ((bm.title || "") + " " + bm.url).toLowerCase().includes(w)));
+      matches.forEach(bm => tree.appendChild(bookmarkRow(bm, false)));
+      if (!matches.length) tree.textContent = "No bookmarks match.";
+      return;
+    }
+    const top = childrenOf(state.bookmarks, null);
+    top.forEach(bm => tree.appendChild(bookmarkRow(bm, true)));
+    if (!top.length) tree.textContent = "No bookmarks yet. Use ☆ or Ctrl+D to bookmark a page.";
+  }
+
+  // dropping below the last row moves the bookmark to the end of the top level
+  tree.ondragover = (e) => {
+    if (draggedId) e.preventDefault();
+  };
+  tree.ondrop = (e) => {
+    if (!draggedId) return;
+    e.preventDefault();
+    setBookmarks(moveBookmark(state.bookmarks, draggedId, null, null));
+  };
+
+  search.oninput = renderTree;
+  toolbar.querySelector("#bookmarks-newFolder").onclick = () => {
+    const folder = { id: newBookmarkId(), folder: true, title: "New folder", createdOn: nowISO(), parentId: null };
+    search.value = "";
+    setBookmarks(state.bookmarks.concat([folder]));
+    startEditing(folder.id);
+  };
+  toolbar.querySelector("#bookmarks-export").onclick = () => {
+    const blob = new Blob([exportNetscape(state.bookmarks)], { type: "text/html" });
+    const a = document.createElement("a");
+    a.href = URL.createObjectURL(blob);
+    a.download = "horizon-bookmarks.html";
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+  };
+  toolbar.querySelector("#bookmarks-import").onclick = () => importFile.click();
+  importFile.onchange = () => {
+    const file = importFile.files[0];
+    importFile.value = "";
+    if (!file) return;
+    file.text().then(text => {
+      const doc = new DOMParser().parseFromString(text, "text/html");
+      // everything lands in one new folder, so an import never scrambles the existing bookmarks
+      const folder = { id: newBookmarkId(), folder: true, title: "Imported " + new Date().toLocaleDateString(), createdOn: nowISO(), parentId: null };
+      const imported = parseNetscape(doc, folder.id);
+      setBookmarks(state.bookmarks.concat([folder], imported));
+      message.textContent = `Imported ${imported.filter(i => !i.folder).length} bookmarks into "${folder.title}"`;
+    }).catch(err => {
+      console.error(err);
+      message.textContent = "Import failed: " + err;
+    });
+  };
+
+  renderTree();
+  // edits made here, on the bar, or in other windows
+  route.watch(["bookmarks"], renderTree);
+}
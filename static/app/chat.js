@@ -0,0 +1,151 @@
+import ChatClient, { DEFAULT_ROOM } from "../lib/chat.js";
+import { INTERNAL_PREFIX, api, state } from "./state.js";
+import { navigateTo } from "./tabs.js";
+import { updateSettings } from "./settings.js";
+
+// horizon://chat: rooms on this deployment's chat server. horizon://chat/<room> (or ?room=) opens a room;
+// the nickname is a setting, shared by every window
+
+const ROOM_NAME = /^[a-z0-9][a-z0-9-]{0,31}$/;
+// the log sticks to the newest message unless the user has scrolled further up than this
+const STICK_TO_BOTTOM_PX = 40;
+
+function timeOf(ts) {
+  return new Date(ts).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+}
+
+export function buildChatPage(page, route) {
+  const room = (route.path || route.params.room || DEFAULT_ROOM).toLowerCase();
+
+  const title = document.createElement("h2");
+  title.textContent = "Chat: #" + room;
+  page.appendChild(title);
+
+  const toolbar = document.createElement("div");
+  toolbar.className = "page-toolbar";
+  toolbar.innerHTML = `<input class="form-control chat-nick" id="chat-nick" placeholder="Nickname" maxlength="24" autocomplete="off">
+    <input class="form-control chat-nick" id="chat-room" placeholder="Room" maxlength="32" autocomplete="off">
+    <button class="btn btn-outline-light btn-sm" id="chat-join">Join room</button>
+    <span class="chat-status" id="chat-status"></span>`;
+  page.appendChild(toolbar);
+  const nickInput = toolbar.querySelector("#chat-nick");
+  const roomInput = toolbar.querySelector("#chat-room");
+  const status = toolbar.querySelector("#chat-status");
+  nickInput.value = state.settings.chatNick;
+  roomInput.value = room;
+
+  const members = document.createElement("div");
+  members.className = "chat-members";
+  page.appendChild(members);
+  const log = document.createElement("div");
+  log.className = "chat-log";
+  log.id = "chat-log";
+  page.appendChild(log);
+
+  const form = document.createElement("form");
+  form.className = "chat-form";
+  form.innerHTML = `<input class="form-control" id="chat-input" placeholder="Message" maxlength="2000" autocomplete="off">
+    <button class="btn btn-outline-light" type="submit">Send</button>`;
+  page.appendChild(form);
+  const input = form.querySelector("#chat-input");
+
+  function addLine(className, parts) {
+    const stick = log.scrollHeight - log.scrollTop - log.clientHeight < STICK_TO_BOTTOM_PX;
+    const line = document.createElement("div");
+    line.className = "chat-line " + className;
+    parts.forEach(([cls, text]) => {
+      const span = document.createElement("span");
+      span.className = cls;
+      span.textContent = text;
+      line.appendChild(span);
+    });
+    log.appendChild(line);
+    if (stick) log.scrollTop = log.scrollHeight;
+  }
+
+  function addMessage(message) {
+    addLine(message.nick === client.nick ? "own" : "", [["chat-time", timeOf(message.ts)], ["chat-author", message.nick], ["chat-text", message.text]]);
+  }
+
+  function notice(text, className = "chat-notice") {
+    addLine(className, [["chat-text", text]]);
+  }
+
+  function showMembers(list) {
+    members.textContent = `${list.length} here: ${list.join(", ")}`;
+  }
+
+  function onMessage(message) {
+    if (message.type === "joined") {
+      // the history covers whatever was said while disconnected
+      log.innerHTML = "";
+      message.history.forEach(addMessage);
+      notice(`You joined #${message.room} as ${message.nick}`);
+      showMembers(message.members);
+    } else if (message.type === "message") {
+      addMessage(message);
+    } else if (message.type === "presence") {
+      if (message.event === "join") notice(`${message.nick} joined`);
+      else if (message.event === "leave") notice(`${message.nick} left`);
+      else notice(`${message.previous} is now ${message.nick}`);
+      showMembers(message.members);
+    } else if (message.type === "error") {
+      notice(message.retryAfter ? `${message.error}; wait ${message.retryAfter} s` : message.error, "chat-notice chat-error");
+    }
+  }
+
+  let countdown = null;
+  function onStatus(next, retryAt) {
+    clearInterval(countdown);
+    countdown = null;
+    input.disabled = next !== "open";
+    if (next === "connecting") status.textContent = "Connecting…";
+    else if (next === "open") status.textContent = "Connected";
+    else if (next === "closed") status.textContent = "";
+    else {
+      const tick = () => {
+        status.textContent = `Disconnected; retrying in ${Math.max(0, Math.ceil((retryAt - Date.now()) / 1000))} s`;
+      };
+      tick();
+      countdown = setInterval(tick, 1000);
+    }
+  }
+
+  const client = new ChatClient(() => api.socketUrl("/chat"), { onMessage, onStatus });
+
+  form.onsubmit = (e) => {
+    e.preventDefault();
+    const text = input.value.trim();
+    if (text && client.say(text)) input.value = "";
+  };
+  nickInput.onchange = () => {
+    const nick = nickInput.value.trim();
+    updateSettings({ chatNick: nick });
+    client.rename(nick);
+  };
+  toolbar.querySelector("#chat-join").onclick = () => {
+    const next = roomInput.value.trim().toLowerCase();
+    if (!ROOM_NAME.test(next)) {
+      notice("Room names are 1-32 lowercase letters, digits and dashes", "chat-notice chat-error");
+      return;
+    }
+    navigateTo(INTERNAL_PREFIX + "chat/" + next);
+  };
+  roomInput.addEventListener("keydown", (e) => {
+    if (e.key === "Enter") toolbar.querySelector("#chat-join").click();
+  });
+
+  // a nickname set in another window
+  route.watch(["settings"], () => {
+    if (document.activeElement !== nickInput) nickInput.value = state.settings.chatNick;
+  });
+  const online = () => client.reconnectNow();
+  window.addEventListener("online", online);
+  route.onUnmount(() => {
+    window.removeEventListener("online", online);
+    clearInterval(countdown);
+    client.close();
+  });
+
+  client.join(room, state.settings.chatNick);
+}
@@ -0,0 +1,61 @@
+// Elements of index.html, looked up when needed, and the context menu every part of the UI uses
+
+export const dom = {
+  addressInput: () => document.getElementById("address-input"),
+  suggestionList: () => document.getElementById("omnibox-suggestions"),
+  backBtn: () => document.getElementById("back-btn"),
+  forwardBtn: () => document.getElementById("forward-btn"),
+  refreshBtn: () => document.getElementById("refresh-btn"),
+  bookmarkToggle: () => document.getElementById("bookmark-toggle"),
+  bookmarkBar: () => document.getElementById("bookmark-bar"),
+  bookmarksContainer: () => document.getElementById("bookmarks"),
+  tabsBar: () => document.getElementById("tabs-bar"),
+  tabListBtn: () => document.getElementById("tab-list-btn"),
+  contentArea: () => document.getElementById("content-area"),
+  tabHost: () => document.getElementById("tab-host"),
+  homeView: () => document.getElementById("home-view"),
+  homeAddress: () => document.getElementById("home-address"),
+  homeGo: () => document.getElementById("home-go"),
+  fullScreenBtn: () => document.getElementById("fullscreen-btn"),
+  newTabBtn: () => document.getElementById("new-tab-btn"),
+  historyBtn: () => document.getElementById("history-btn"),
+  manageBookmarksBtn: () => document.getElementById("manage-bookmarks-btn"),
+  loginOverlay: () => document.getElementById("login-overlay"),
+  loginForm: () => document.getElementById("login-form"),
+  loginPassword: () => document.getElementById("login-password"),
+  loginError: () => document.getElementById("login-error")
+};
+
+// Context menus: a list of { label, action } shown at the pointer, closed by the next click anywhere
+let popupMenu = null;
+
+export function closePopupMenu() {
+  if (popupMenu) popupMenu.remove();
+  popupMenu = null;
+}
+
+/** Closes the menu unless `target` (what was clicked) is inside it. */
+export function dismissPopupMenu(target) {
+  if (popupMenu && !popupMenu.contains(target)) closePopupMenu();
+}
+
+export function showPopupMenu(x, y, items) {
+  closePopupMenu();
+  popupMenu = document.createElement("div");
+  popupMenu.className = "popup-menu";
+  items.forEach(item => {
+    const row = document.createElement("div");
+    row.className = "popup-menu-item";
+    row.textContent = item.label;
+    row.onclick = () => {
+      closePopupMenu();
+      item.action();
+    };
+    popupMenu.appendChild(row);
+  });
+  document.body.appendChild(popupMenu);
+  // keep it on screen near the edges
+  const rect = popupMenu.getBoundingClientRect();
+  popupMenu.style.left = Math.min(x, window.innerWidth - rect.width - 4) + "px";
+  popupMenu.style.top = Math.min(y, window.innerHeight - rect.height - 4) + "px";
+}
@@ -0,0 +1,497 @@
+import { INTERNAL_PREFIX, store, state, setStatus } from "./state.js";
+import { dom } from "./dom.js";
+import { buildProxyUrlFor, decodeProxyUrl, resolveFrameUrl, frameTargetUrl, frameIsProxied, checkSessionAfterFailure } from "./session.js";
+import { navigateTo, openLink } from "./tabs.js";
+import { isBookmarked } from "./bookmarks.js";
+import { pushHistoryEntry } from "./history.js";
+import { mountInternalPage } from "./pages.js";
+
+// The content area: one iframe (or internal page) per tab, the navigation inside them, and the toolbar
+// state that follows the active one
+
+const MAX_NAV_ENTRIES = 50;
+// how often, and for how long, the parent looks for a frame's next document after the last one went away:
+// soon at first, then backing off, since the frame's load event hooks the document anyway once it is done
+const NEXT_DOCUMENT_FIRST_POLL_MS = 10;
+const NEXT_DOCUMENT_MAX_POLL_MS = 500;
+const NEXT_DOCUMENT_TIMEOUT_MS = 10 * 1000;
+
+/* ---------- Tab host ---------- */
+
+// Every tab that has been shown keeps its own wrapper in #tab-host; inactive ones are only hidden,
+// so switching tabs does not reload the page. Entries: tab.id -> { wrapper, url, discarded, unmount }
+export const tabHost = {
+  frames: new Map(),
+  activeId: null
+};
+
+// Records when a tab was last in front; the previously active tab is stamped as it loses focus
+function touchTab(tab) {
+  const now = Date.now();
+  if (tabHost.activeId && tabHost.activeId !== tab.id) {
+    const previous = state.tabs.find(t => t.id === tabHost.activeId);
+    if (previous) previous.lastActive = now;
+  }
+  tabHost.activeId = tab.id;
+  tab.lastActive = now;
+}
+
+export function mountTab(tab) {
+  const previous = tabHost.frames.get(tab.id);
+  const { wrapper, unmount } = createIframeFor(tab);
+  wrapper.classList.add("enter");
+  if (previous) {
+    unmountFrame(previous);
+    previous.wrapper.replaceWith(wrapper);
+  } else dom.tabHost().appendChild(wrapper);
+  const frame = { wrapper, url: tab.url, discarded: false, unmount };
+  tabHost.frames.set(tab.id, frame);
+  return frame;
+}
+
+// Internal pages stop their timers and subscriptions once their wrapper is thrown away
+function unmountFrame(frame) {
+  if (frame.unmount) frame.unmount();
+  frame.unmount = null;
+}
+
+// Throws away every mounted frame; the active tab is rebuilt right away (e.g. under a new session),
+// background tabs on their next activation
+export function reloadAllTabs() {
+  tabHost.frames.forEach(frame => {
+    unmountFrame(frame);
+    frame.wrapper.remove();
+  });
+  tabHost.frames.clear();
+  renderActiveContent();
+  // favicons are proxied URLs too
+  store.changed("tabs");
+}
+
+function pruneTabFrames() {
+  const ids = new Set(state.tabs.map(t => t.id));
+  tabHost.frames.forEach((frame, id) => {
+    if (ids.has(id)) return;
+    unmountFrame(frame);
+    frame.wrapper.remove();
+    tabHost.frames.delete(id);
+  });
+}
+
+export function isTabDiscarded(tab) {
+  const frame = tabHost.frames.get(tab.id);
+  return !!(frame && frame.discarded);
+}
+
+// Drops the tab's iframe (and the page memory with it) and leaves a placeholder; renderActiveContent
+// mounts a fresh iframe from tab.url the next time the tab is activated
+function discardTab(tab) {
+  const frame = tabHost.frames.get(tab.id);
+  if (!frame || frame.discarded) return;
+  const placeholder = document.createElement("div");
+  placeholder.className = "iframe-wrapper discarded-placeholder hidden";
+  placeholder.dataset.tabId = tab.id;
+  const msg = document.createElement("p");
+  msg.textContent = "This tab was discarded to save memory. It will reload when you switch to it.";
+  placeholder.appendChild(msg);
+  unmountFrame(frame);
+  frame.wrapper.replaceWith(placeholder);
+  frame.wrapper = placeholder;
+  frame.discarded = true;
+}
+
+export function sweepIdleTabs() {
+  const minutes = Number(state.settings.discardAfterMinutes) || 0;
+  if (minutes <= 0) return;
+  const cutoff = Date.now() - minutes * 60 * 1000;
+  let changed = false;
+  state.tabs.forEach(tab => {
+    if (tab.id === tabHost.activeId || tab.url.startsWith(INTERNAL_PREFIX)) return;
+    const frame = tabHost.frames.get(tab.id);
+    if (!frame || frame.discarded || (tab.lastActive || 0) > cutoff) return;
+    discardTab(tab);
+    changed = true;
+  });
+  // the strip shows discarded tabs greyed out
+  if (changed) store.changed("tabs");
+}
+
+export function activeFrameWrapper() {
+  const frame = tabHost.frames.get(tabHost.activeId);
+  return frame && !frame.discarded ? frame.wrapper : null;
+}
+
+// Reloads the page in a tab, or builds it again when there is no live page to reload
+export function reloadTab(tab) {
+  const frame = tabHost.frames.get(tab.id);
+  if (!frame || frame.discarded || tab.url.startsWith(INTERNAL_PREFIX)) {
+    mountTab(tab);
+    renderActiveContent();
+    return;
+  }
+  const iframe = frame.wrapper.querySelector("iframe");
+  try {
+    iframe.contentWindow.location.reload();
+  } catch (e) {
+    iframe.src = iframe.src;
+  }
+}
+
+/* ---------- Navigation tracking ---------- */
+
+// Each tab carries its own stack (tab.nav = { entries, index }) so back/forward work per tab and
+// survive discards and reloads of Horizon itself
+
+function navStackOf(tab) {
+  if (!tab.nav) tab.nav = { entries: tab.url ? [tab.url] : [], index: tab.url ? 0 : -1 };
+  return tab.nav;
+}
+
+// Changes the tab in place; the caller tells the store
+export function recordNavigation(tab, url, pendingReplace = false) {
+  const nav = navStackOf(tab);
+  if (nav.entries[nav.index] === url) return;
+  if (pendingReplace && nav.index >= 0) {
+    // a back/forward load that ended up somewhere else (redirect); fix the entry in place
+    nav.entries[nav.index] = url;
+  } else if (nav.entries[nav.index - 1] === url) {
+    // page called history.back() itself
+    nav.index--;
+  } else if (nav.entries[nav.index + 1] === url) {
+    nav.index++;
+  } else {
+    nav.entries = nav.entries.slice(0, nav.index + 1);
+    nav.entries.push(url);
+    if (nav.entries.length > MAX_NAV_ENTRIES) nav.entries = nav.entries.slice(-MAX_NAV_ENTRIES);
+    nav.index = nav.entries.length - 1;
+  }
+}
+
+function canGoInHistory(tab, delta) {
+  if (!tab || !tab.nav) return false;
+  const target = tab.nav.index + delta;
+  return target >= 0 && target < tab.nav.entries.length;
+}
+
+export const goInHistory = store.action((delta) => {
+  const tab = state.tabs[state.activeTab];
+  if (!canGoInHistory(tab, delta)) return;
+  tab.nav.index += delta;
+  tab.url = tab.nav.entries[tab.nav.index];
+  tab.title = tab.url;
+  tab.favicon = null;
+  const frame = tabHost.frames.get(tab.id);
+  if (frame) frame.pendingReplace = true;
+  store.changed("tabs");
+});
+
+// Points an already mounted iframe at a new URL
+function loadInFrame(frame, url) {
+  const iframe = frame.wrapper.querySelector("iframe");
+  frame.url = url;
+  if (!iframe) return;
+  const target = buildProxyUrlFor(url);
+  try {
+    // replace() when replaying our own stack, so the frame's history doesn't grow on back/forward
+    if (frame.pendingReplace) iframe.contentWindow.location.replace(target);
+    else iframe.contentWindow.location.assign(target);
+  } catch (e) {
+    iframe.src = target;
+  }
+}
+
+// Reads the real URL, title and favicon out of a proxied frame after it navigated
+const syncTabFromFrame = store.action((tab, iframe) => {
+  let url = null;
+  let doc = null;
+  try {
+    const loc = iframe.contentWindow.location;
+    url = decodeProxyUrl(loc.pathname + loc.search + loc.hash);
+    doc = iframe.contentDocument;
+  } catch (e) {
+    // ignore cross-origin-like issues
+  }
+  const frame = tabHost.frames.get(tab.id);
+  if (!url) url = tab.url;
+
+  recordNavigation(tab, url, !!(frame && frame.pendingReplace));
+  if (frame) {
+    frame.url = url;
+    frame.pendingReplace = false;
+  }
+  if (tab.url !== url) {
+    tab.url = url;
+    tab.title = url;
+  }
+  if (doc) {
+    if (doc.title) tab.title = doc.title;
+    const link = doc.querySelector('link[rel~="icon"]');
+    tab.favicon = link && link.href ? resolveFrameUrl(link.href) : null;
+  }
+
+  pushHistoryEntry(tab.url, tab.title || "");
+  store.changed("tabs");
+  setStatus(`Loaded: ${tab.url}`);
+});
+
+// Favicons are fetched through the proxy too; pages without a <link rel=icon> get /favicon.ico
+export function faviconSrcFor(tab) {
+  if (!tab.url || tab.url.startsWith(INTERNAL_PREFIX)) return null;
+  if (tab.favicon && tab.favicon.startsWith("data:")) return tab.favicon;
+  if (tab.favicon) return buildProxyUrlFor(tab.favicon);
+  try {
+    const { origin, protocol } = new URL(tab.url);
+    if (protocol !== "http:" && protocol !== "https:") return null;
+    return buildProxyUrlFor(origin + "/favicon.ico");
+  } catch (e) {
+    return null;
+  }
+}
+
+/* ---------- Frames ---------- */
+
+function createIframeFor(tab) {
+  const wrapper = document.createElement("div");
+  wrapper.className = "iframe-wrapper";
+  wrapper.dataset.tabId = tab.id;
+
+  // internal horizon pages will be handled without iframe
+  if (tab.url.startsWith(INTERNAL_PREFIX)) {
+    const page = mountInternalPage(tab.url);
+    wrapper.appendChild(page.element);
+    return { wrapper, unmount: page.unmount };
+  }
+
+  const iframe = document.createElement("iframe");
+  iframe.className = "h-iframe";
+  iframe.setAttribute("sandbox", "allow-scripts allow-forms allow-same-origin allow-popups allow-modals"); // keep reasonable isolation but allow functioning pages
+  iframe.src = buildProxyUrlFor(tab.url);
+  // the wrapper is attached once this returns
+  setTimeout(() => watchForNextDocument(iframe, null, () => hookFrameWindow(tab, iframe.contentWindow, () => tab.url)));
+  iframe.onload = () => {
+    if (!frameIsProxied(iframe)) checkSessionAfterFailure();
+    syncTabFromFrame(tab, iframe);
+    stopWatching(iframe);
+    hookFrameWindow(tab, iframe.contentWindow, () => tab.url);
+    // same-document navigations (anchors, history API) do not fire load
+    try {
+      iframe.contentWindow.addEventListener("hashchange", () => syncTabFromFrame(tab, iframe));
+      iframe.contentWindow.addEventListener("popstate", () => syncTabFromFrame(tab, iframe));
+    } catch (e) {
+      // ignore cross-origin-like issues
+    }
+  };
+
+  wrapper.appendChild(iframe);
+  return { wrapper, unmount: null };
+}
+
+// New windows from a proxied page would open outside Horizon (and outside the proxy), and _top would
+// replace Horizon itself; route both to Horizon tabs instead. Every document is a new window, and nested
+// frames have their own, so each one is hooked as early as the parent can reach it: while it is still
+// loading, by watching for it once the previous document is gone. Its load event hooks it otherwise.
+
+const HOOKED_OPEN = Symbol("horizon window.open");
+const frameHooks = new WeakMap(); // document -> its listeners, so hooking a document again adds nothing twice
+const watchers = new WeakMap(); // frame element -> timer looking for its next document
+
+function watchForNextDocument(frameEl, previous, hook) {
+  const start = Date.now();
+  let delay = NEXT_DOCUMENT_FIRST_POLL_MS;
+  const poll = () => {
+    let doc;
+    try {
+      doc = frameEl.contentDocument;
+    } catch (e) {
+      doc = null;
+    }
+    // no document: removed, or not the proxy's origin, so nothing can be hooked
+    if (!doc) return watchers.delete(frameEl);
+    if (doc !== previous && doc.URL !== "about:blank") {
+      watchers.delete(frameEl);
+      hook();
+    } else if (Date.now() - start < NEXT_DOCUMENT_TIMEOUT_MS) {
+      watchers.set(frameEl, setTimeout(poll, delay));
+      delay = Math.min(delay * 2, NEXT_DOCUMENT_MAX_POLL_MS);
+    } else {
+      watchers.delete(frameEl);
+    }
+  };
+  stopWatching(frameEl);
+  poll();
+}
+
+function stopWatching(frameEl) {
+  clearTimeout(watchers.get(frameEl));
+  watchers.delete(frameEl);
+}
+
+/**
+ * @param {object} tab
+ * @param {Window} win the frame's window, the tab's own frame or one nested in it
+ * @param {() => string} parentBase what relative URLs resolve against when this document has no web address
+ *   (about:blank, srcdoc)
+ */
+function hookFrameWindow(tab, win, parentBase) {
+  let doc;
+  try {
+    doc = win.document;
+  } catch (e) {
+    return;
+  }
+  if (!doc) return;
+  const topLevel = win.parent === window;
+  const base = () => {
+    const url = resolveFrameUrl(win.location.href);
+    return url && /^https?:/.test(url) ? url : parentBase();
+  };
+  const targetOf = (raw) => frameTargetUrl(raw, base());
+
+  // hammerhead wraps window.open itself; whatever isn't a new page is left to it
+  if (!win.open[HOOKED_OPEN]) {
+    const previousOpen = win.open;
+    win.open = function (raw, target, ...rest) {
+      const name = target ? String(target) : "_blank";
+      const keyword = name.toLowerCase();
+      let url = raw ? targetOf(String(raw)) : null;
+      // a name the page doesn't know opens a new window too
+      if (url && !keyword.startsWith("_") && hasFrameNamed(win, name)) url = null;
+      if (url && (keyword === "_top" || (keyword === "_parent" && topLevel))) {
+        navigateTo(url);
+        return null;
+      }
+      if (url && !["_self", "_parent", "_top"].includes(keyword)) {
+        navigateTo(url, true);
+        // as if the popup was blocked; pages have to cope with that anyway
+        return null;
+      }
+      return previousOpen.call(this, raw, target, ...rest);
+    };
+    win.open[HOOKED_OPEN] = true;
+  }
+
+  let hooks = frameHooks.get(doc);
+  if (!hooks) {
+    hooks = {
+      link(e) {
+        if (e.type === "auxclick" && e.button !== 1) return;
+        const link = e.target.closest && e.target.closest("a[href]");
+        if (!link) return;
+        const target = (link.getAttribute("target") || "").toLowerCase();
+        const modified = e.button === 1 || e.ctrlKey || e.metaKey || e.shiftKey;
+        // _parent only leaves the page from the tab's own frame
+        const escapes = target === "_top" || (target === "_parent" && topLevel);
+        if (!modified && !escapes && (!target || target === "_self" || target === "_parent" || hasFrameNamed(win, link.getAttribute("target")))) return;
+        const url = targetOf(link.href);
+        if (!url) return;
+        e.preventDefault();
+        e.stopPropagation();
+        if (modified) openLink(url, e);
+        else if (escapes) navigateTo(url);
+        else navigateTo(url, true);
+      },
+      // nested frames, once they have loaded; watching for their next document starts when it unloads
+      frameLoad(e) {
+        const el = e.target;
+        if (el.tagName !== "IFRAME" && el.tagName !== "FRAME") return;
+        stopWatching(el);
+        hookFrameWindow(tab, el.contentWindow, base);
+      }
+    };
+    frameHooks.set(doc, hooks);
+    win.addEventListener("pagehide", () => {
+      const frameEl = win.frameElement;
+      if (frameEl) watchForNextDocument(frameEl, doc, () => hookFrameWindow(tab, frameEl.contentWindow, parentBase));
+    });
+  }
+  doc.addEventListener("click", hooks.link, true);
+  doc.addEventListener("auxclick", hooks.link, true);
+  doc.addEventListener("load", hooks.frameLoad, true);
+
+  // frames that were already there
+  for (let i = 0; i < win.frames.length; i++) hookFrameWindow(tab, win.frames[i], base);
+}
+
+function hasFrameNamed(win, name) {
+  try {
+    return !!name && !!win.frames[name];
+  } catch (e) {
+    return false;
+  }
+}
+
+/* ---------- Rendering ---------- */
+
+// Shows the active tab's frame, mounting or pointing it at the tab's URL as needed. Frames that are
+// already right are left alone, so this runs on every change to the tab list.
+export function renderActiveContent() {
+  const home = dom.homeView();
+  const host = dom.tabHost();
+  pruneTabFrames();
+
+  const active = state.tabs[state.activeTab];
+  const switched = !!active && tabHost.activeId !== active.id;
+  if (active) touchTab(active);
+
+  // a fresh tab with nothing loaded shows the home view, like having no tabs at all
+  if (!active || !active.url) {
+    home.style.display = "";
+    host.style.display = "none";
+    return;
+  }
+  home.style.display = "none";
+  host.style.display = "";
+
+  // Internal pages keep themselves current while shown, and are built afresh whenever their tab comes to the front
+  let frame = tabHost.frames.get(active.id);
+  const internal = frame && (active.url.startsWith(INTERNAL_PREFIX) || frame.url.startsWith(INTERNAL_PREFIX));
+  if (!frame || frame.discarded || (internal && (switched || frame.url !== active.url))) {
+    frame = mountTab(active);
+  } else if (frame.url !== active.url) {
+    // navigate the live iframe instead of rebuilding it so the page's own history survives
+    loadInFrame(frame, active.url);
+  }
+  tabHost.frames.forEach((f, id) => f.wrapper.classList.toggle("hidden", id !== active.id));
+}
+
+// Address bar, bookmark star and back/forward buttons for the active tab
+export function renderNavState() {
+  const active = state.tabs[state.activeTab];
+  const input = dom.addressInput();
+  // don't clobber what the user is typing
+  if (document.activeElement !== input) input.value = (active && active.url) || "";
+  dom.bookmarkToggle().textContent = active && isBookmarked(active.url) ? "★" : "☆";
+  dom.backBtn().disabled = !canGoInHistory(active, -1);
+  dom.forwardBtn().disabled = !canGoInHistory(active, 1);
+}
+
+/* ---------- Fullscreen & iframe commands ---------- */
+
+export function toggleFullscreen() {
+  const area = activeFrameWrapper() || dom.contentArea();
+  if (!area) return;
+  if (!document.fullscreenElement) {
+    area.requestFullscreen().catch((e) => console.warn("FS failed", e));
+  } else {
+    document.exitFullscreen().catch(() => {});
+  }
+}
+
+// Send simple commands to active iframe by performing actions on iframe element
+export function sendKeyToIframe(action) {
+  const wrapper = activeFrameWrapper();
+  if (!wrapper) return;
+  const iframe = wrapper.querySelector("iframe");
+  if (!iframe) return;
+  try {
+    if (action === "reload") {
+      iframe.contentWindow.location.reload();
+    }
+  } catch (e) {
+    // fallback: reload iframe by resetting src (best-effort)
+    if (action === "reload") {
+      const src = iframe.src;
+      iframe.src = src;
+    }
+  }
+}
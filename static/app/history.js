@@ -0,0 +1,166 @@
+import { CLEAR_RANGES, rangeStart, hostOf, historyRows } from "../lib/history.js";
+import { INTERNAL_PREFIX, store, state, db, windows, nowISO } from "./state.js";
+import { linkHandlers } from "./tabs.js";
+
+// Browsing history: recording visits, and horizon://history
+
+// Kept indefinitely, but capped so it can't grow without bound
+export const MAX_HISTORY_ENTRIES = 5000;
+
+function saveHistoryEntries(removed, added = []) {
+  if (removed.length) db.deleteRecords("history", removed.map(h => h.id));
+  if (added.length) db.addRecords("history", added);
+  windows.post({ type: "history", removed: removed.map(h => h.id), added });
+}
+
+export function pushHistoryEntry(url, title) {
+  if (!url || url.startsWith(INTERNAL_PREFIX)) return;
+  const entry = { id: "h" + Math.random().toString(36).slice(2, 9), url, title: title || url, ts: nowISO() };
+  const history = [entry].concat(state.history);
+  store.set("history", history.slice(0, MAX_HISTORY_ENTRIES));
+  saveHistoryEntries(history.slice(MAX_HISTORY_ENTRIES), [entry]);
+}
+
+/** Replaces the history with a subset of it (what's left after deleting), saving only the removals. */
+export function setHistory(history) {
+  const kept = new Set(history.map(h => h.id));
+  const removed = state.history.filter(h => !kept.has(h.id));
+  store.set("history", history);
+  if (!history.length) {
+    db.clear("history");
+    windows.post({ type: "history", clear: true });
+  } else saveHistoryEntries(removed);
+}
+
+/* ---------- horizon://history ---------- */
+
+// Rows are all the same height so only the ones in view need to exist in the DOM
+const HISTORY_ROW_HEIGHT = 36;
+const HISTORY_OVERSCAN = 10;
+
+// Search (?q= in the URI), day groups and deletion; the list is virtualized because history holds thousands of visits
+export function buildHistoryPage(page, route) {
+  const title = document.createElement("h2");
+  title.textContent = "History";
+  page.appendChild(title);
+
+  const toolbar = document.createElement("div");
+  toolbar.className = "page-toolbar";
+  toolbar.innerHTML = `<input class="form-control" type="search" id="history-search" placeholder="Search history" autocomplete="off">
+    <select class="form-select setting-select" id="history-range"></select>
+    <button class="btn btn-outline-danger btn-sm" id="history-clear">Clear</button>`;
+  page.appendChild(toolbar);
+  const search = toolbar.querySelector("#history-search");
+  const range = toolbar.querySelector("#history-range");
+  CLEAR_RANGES.forEach(r => {
+    const opt = document.createElement("option");
+    opt.value = r.id;
+    opt.textContent = r.label;
+    range.appendChild(opt);
+  });
+
+  const summary = document.createElement("div");
+  summary.className = "history-summary";
+  page.appendChild(summary);
+  const viewport = document.createElement("div");
+  viewport.className = "history-viewport";
+  const spacer = document.createElement("div");
+  spacer.className = "history-spacer";
+  viewport.appendChild(spacer);
+  page.appendChild(viewport);
+
+  // horizon://history?q=foo opens with a search
+  search.value = route.params.q || "";
+  let rows = [];
+
+  function deleteVisits(ids) {
+    const gone = new Set(ids);
+    setHistory(state.history.filter(h => !gone.has(h.id)));
+  }
+
+  function deleteHost(host) {
+    const count = state.history.filter(h => hostOf(h.url) === host).length;
+    if (!confirm(`Delete all ${count} visits to ${host}?`)) return;
+    setHistory(state.history.filter(h => hostOf(h.url) !== host));
+  }
+
+  function rowElement(row, idx) {
+    const el = document.createElement("div");
+    el.style.top = idx * HISTORY_ROW_HEIGHT + "px";
+    if (row.type === "day") {
+      el.className = "history-row history-day";
+      el.textContent = row.label;
+      return el;
+    }
+    el.className = "history-row";
+    const time = document.createElement("span");
+    time.className = "history-time";
+    time.textContent = new Date(row.ts).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+    const link = document.createElement("a");
+    link.href = "#";
+    link.className = "history-title";
+    link.textContent = row.title;
+    link.title = row.url;
+    linkHandlers(link, row.url);
+    const host = hostOf(row.url);
+    const detail = document.createElement("span");
+    detail.className = "history-host";
+    detail.textContent = host + (row.visits > 1 ? ` · ${row.visits} visits` : "");
+    const remove = document.createElement("button");
+    remove.className = "h-small-btn";
+    remove.title = row.visits > 1 ? `Delete these ${row.visits} visits` : "Delete this visit";
+    remove.textContent = "✕";
+    remove.onclick = () => deleteVisits(row.ids);
+    el.append(time, link, detail, remove);
+    if (host) {
+      const removeHost = document.createElement("button");
+      removeHost.className = "h-small-btn";
+      removeHost.title = "Delete every visit to " + host;
+      removeHost.textContent = "Forget site";
+      removeHost.onclick = () => deleteHost(host);
+      el.appendChild(removeHost);
+    }
+    return el;
+  }
+
+  function renderVisible() {
+    const first = Math.max(0, Math.floor(viewport.scrollTop / HISTORY_ROW_HEIGHT) - HISTORY_OVERSCAN);
+    const last = Math.min(rows.length, Math.ceil((viewport.scrollTop + viewport.clientHeight) / HISTORY_ROW_HEIGHT) + HISTORY_OVERSCAN);
+    spacer.innerHTML = "";
+    for (let i = first; i < last; i++) spacer.appendChild(rowElement(rows[i], i));
+  }
+
+  function refresh() {
+    rows = historyRows(state.history, search.value);
+    const pages = rows.filter(r => r.type === "entry").length;
+    summary.textContent = search.value.trim() ? `${pages} matching pages` : `${state.history.length} visits`;
+    spacer.style.height = rows.length * HISTORY_ROW_HEIGHT + "px";
+    if (!rows.length) spacer.textContent = search.value.trim() ? "No history matches." : "History is empty.";
+    else renderVisible();
+  }
+
+  let scrollFrame = 0;
+  viewport.onscroll = () => {
+    if (scrollFrame) return;
+    scrollFrame = requestAnimationFrame(() => {
+      scrollFrame = 0;
+      renderVisible();
+    });
+  };
+  search.oninput = () => {
+    viewport.scrollTop = 0;
+    refresh();
+  };
+  toolbar.querySelector("#history-clear").onclick = () => {
+    const choice = CLEAR_RANGES.find(r => r.id === range.value);
+    if (!confirm(`Clear history: ${choice.label.toLowerCase()}?`)) return;
+    const since = rangeStart(range.value);
+    setHistory(state.history.filter(h => Date.parse(h.ts) < since));
+  };
+
+  refresh();
+  // the viewport has no height until the page is in the document
+  requestAnimationFrame(renderVisible);
+  // deletions made here, visits in other tabs and windows
+  route.watch(["history"], refresh);
+}
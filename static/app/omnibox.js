@@ -0,0 +1,153 @@
+import { SuggestionIndex, inlineCompletion } from "../lib/suggest.js";
+import { INTERNAL_PREFIX, state } from "./state.js";
+import { dom } from "./dom.js";
+import { activateTab, navigateTo } from "./tabs.js";
+import { renderNavState } from "./frames.js";
+
+// The address bar: suggestions from open tabs, history and bookmarks, with inline completion
+
+const MAX_SUGGESTIONS = 8;
+
+const omnibox = {
+  index: null, // SuggestionIndex, built when the address bar gains focus
+  typed: "", // what the user typed, without the inline completion
+  items: [],
+  selected: -1
+};
+
+function openTabIndex(url) {
+  return state.tabs.findIndex((t, i) => i !== state.activeTab && t.url === url);
+}
+
+// Open tabs come first as "switch to tab", then history and bookmarks by frecency
+function buildSuggestions(text) {
+  const words = text.toLowerCase().split(/\s+/).filter(Boolean);
+  if (!words.length) return [];
+  const items = [];
+  state.tabs.forEach((tab, idx) => {
+    if (idx === state.activeTab || !tab.url || tab.url.startsWith(INTERNAL_PREFIX)) return;
+    const haystack = (tab.url + " " + (tab.title || "")).toLowerCase();
+    if (words.every(w => haystack.includes(w))) items.push({ kind: "tab", url: tab.url, title: tab.title || tab.url });
+  });
+  const seen = new Set(items.map(i => i.url));
+  for (const match of omnibox.index.query(text, MAX_SUGGESTIONS)) {
+    if (seen.has(match.url)) continue;
+    items.push({ kind: openTabIndex(match.url) !== -1 ? "tab" : match.bookmarked ? "bookmark" : "history", url: match.url, title: match.title, prefix: match.prefix });
+  }
+  return items.slice(0, MAX_SUGGESTIONS);
+}
+
+function renderSuggestions() {
+  const list = dom.suggestionList();
+  const input = dom.addressInput();
+  list.innerHTML = "";
+  omnibox.items.forEach((item, idx) => {
+    const li = document.createElement("li");
+    li.className = "omnibox-suggestion" + (idx === omnibox.selected ? " selected" : "");
+    li.setAttribute("role", "option");
+    li.id = "omnibox-suggestion-" + idx;
+    li.setAttribute("aria-selected", idx === omnibox.selected ? "true" : "false");
+    const title = document.createElement("span");
+    title.className = "suggestion-title";
+    title.textContent = item.title;
+    const url = document.createElement("span");
+    url.className = "suggestion-url";
+    url.textContent = item.url;
+    const kind = document.createElement("span");
+    kind.className = "suggestion-kind";
+    kind.textContent = item.kind === "tab" ? "Switch to tab" : item.kind === "bookmark" ? "★" : "";
+    li.append(title, url, kind);
+    // mousedown, not click: the input would lose focus (and close the list) before a click lands
+    li.onmousedown = (ev) => {
+      ev.preventDefault();
+      acceptSuggestion(item);
+    };
+    list.appendChild(li);
+  });
+  list.hidden = omnibox.items.length === 0;
+  input.setAttribute("aria-expanded", list.hidden ? "false" : "true");
+  if (omnibox.selected >= 0) input.setAttribute("aria-activedescendant", "omnibox-suggestion-" + omnibox.selected);
+  else input.removeAttribute("aria-activedescendant");
+}
+
+function closeSuggestions() {
+  omnibox.items = [];
+  omnibox.selected = -1;
+  renderSuggestions();
+}
+
+// Called on every edit of the address bar; completes the top match inline only while the user is adding text
+function updateSuggestions(inserting) {
+  const input = dom.addressInput();
+  if (!omnibox.index) omnibox.index = new SuggestionIndex(state.history, state.bookmarks);
+  omnibox.typed = input.value;
+  omnibox.items = buildSuggestions(input.value.trim());
+  omnibox.selected = -1;
+  const top = omnibox.items[0];
+  const caretAtEnd = input.selectionStart === input.value.length;
+  if (inserting && caretAtEnd && top && top.kind !== "tab" && top.prefix) {
+    const rest = inlineCompletion(input.value, top.url);
+    if (rest) {
+      input.value += rest;
+      input.setSelectionRange(omnibox.typed.length, input.value.length);
+    }
+  }
+  renderSuggestions();
+}
+
+function moveSuggestion(delta) {
+  if (!omnibox.items.length) return;
+  const count = omnibox.items.length;
+  // -1 is "what I typed"; arrowing past either end comes back to it
+  omnibox.selected = ((omnibox.selected + 1 + delta + count + 1) % (count + 1)) - 1;
+  const input = dom.addressInput();
+  input.value = omnibox.selected === -1 ? omnibox.typed : omnibox.items[omnibox.selected].url;
+  renderSuggestions();
+}
+
+function acceptSuggestion(item) {
+  const input = dom.addressInput();
+  closeSuggestions();
+  omnibox.index = null;
+  input.blur();
+  const tabIdx = item.kind === "tab" ? state.tabs.findIndex(t => t.url === item.url) : -1;
+  if (tabIdx !== -1) activateTab(tabIdx);
+  else navigateTo(item.url);
+}
+
+export function wireOmnibox() {
+  const input = dom.addressInput();
+  input.addEventListener("keydown", (ev) => {
+    if (ev.key === "Enter") {
+      ev.preventDefault();
+      const item = omnibox.items[omnibox.selected];
+      if (item) {
+        acceptSuggestion(item);
+        return;
+      }
+      closeSuggestions();
+      omnibox.index = null;
+      navigateTo(input.value);
+    } else if (ev.key === "ArrowDown" || ev.key === "ArrowUp") {
+      ev.preventDefault();
+      moveSuggestion(ev.key === "ArrowDown" ? 1 : -1);
+    } else if (ev.key === "Escape" && omnibox.items.length) {
+      ev.preventDefault();
+      input.value = omnibox.typed;
+      closeSuggestions();
+    }
+  });
+  input.addEventListener("input", (ev) => {
+    updateSuggestions((ev.inputType || "").startsWith("insert"));
+  });
+  input.addEventListener("focus", () => {
+    // history doesn't change while the user types, so one index per focus is enough
+    omnibox.index = new SuggestionIndex(state.history, state.bookmarks);
+    input.select();
+  });
+  input.addEventListener("blur", () => {
+    closeSuggestions();
+    omnibox.index = null;
+    renderNavState();
+  });
+}
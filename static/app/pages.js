@@ -0,0 +1,186 @@
+import PageRouter from "../lib/routes.js";
+import { INTERNAL_PREFIX, store, state, formatAge, setStatus } from "./state.js";
+import { validateSession, rotateSession } from "./session.js";
+import { buildHistoryPage } from "./history.js";
+import { buildBookmarksPage } from "./bookmarks.js";
+import { buildSettingsPage } from "./settings.js";
+import { buildChatPage } from "./chat.js";
+import { linkHandlers } from "./tabs.js";
+
+// The internal-page router: horizon:// URIs are built here in the page instead of loading in an iframe
+
+const router = new PageRouter();
+
+/**
+ * Adds a horizon:// page; throws a message when the name is taken or invalid. `mount(element, route)` builds
+ * the page into `element` each time a tab shows it. `route` has the `uri`, the page `name`, the sub-path after
+ * it as `path`, the query as `params` and the `hash`, plus two helpers whose work ends when the page is removed:
+ * `watch(keys, fn)` runs fn after every change to those state keys, `onUnmount(fn)` runs fn on removal.
+ * mount may also return a function to run on removal.
+ */
+export function registerPage(name, page) {
+  router.register(name, page);
+}
+
+/**
+ * Builds the page for a horizon:// URI. The frame that holds it calls `unmount()` when it throws the page
+ * away, which stops its timers and subscriptions.
+ */
+export function mountInternalPage(uri) {
+  const element = document.createElement("div");
+  element.className = "internal-page";
+  const match = router.match(uri);
+  const cleanups = [];
+  const route = {
+    uri,
+    name: match.name,
+    path: match.path,
+    params: match.params,
+    hash: match.hash,
+    watch: (keys, fn) => {
+      cleanups.push(store.subscribe(keys, fn));
+    },
+    onUnmount: (fn) => {
+      cleanups.push(fn);
+    }
+  };
+  try {
+    const cleanup = (match.page || UNKNOWN_PAGE).mount(element, route);
+    if (typeof cleanup === "function") cleanups.push(cleanup);
+  } catch (e) {
+    console.error(`${uri} failed to load`, e);
+    element.innerHTML = "";
+    const p = document.createElement("p");
+    p.textContent = `This page failed to load: ${e && e.message ? e.message : e}`;
+    element.appendChild(p);
+  }
+
+  let mounted = true;
+  function unmount() {
+    if (!mounted) return;
+    mounted = false;
+    cleanups.forEach(fn => {
+      try {
+        fn();
+      } catch (e) {
+        console.error(`${uri} failed to unmount`, e);
+      }
+    });
+  }
+  return { element, unmount };
+}
+
+/* ---------- Built-in pages ---------- */
+
+const UNKNOWN_PAGE = {
+  mount(page, route) {
+    const p = document.createElement("p");
+    p.textContent = "Unknown internal page: " + route.uri + ". ";
+    const link = document.createElement("a");
+    link.href = "#";
+    link.textContent = "See all pages";
+    linkHandlers(link, INTERNAL_PREFIX + "about");
+    p.appendChild(link);
+    page.appendChild(p);
+  }
+};
+
+function buildAboutPage(page) {
+  const title = document.createElement("h2");
+  title.textContent = "Horizon pages";
+  page.appendChild(title);
+  const list = document.createElement("dl");
+  list.className = "about-pages";
+  router.list().forEach(entry => {
+    const dt = document.createElement("dt");
+    const link = document.createElement("a");
+    link.href = "#";
+    link.textContent = INTERNAL_PREFIX + entry.name;
+    linkHandlers(link, INTERNAL_PREFIX + entry.name);
+    dt.append(entry.title + " ", link);
+    const dd = document.createElement("dd");
+    dd.textContent = entry.description;
+    list.append(dt, dd);
+  });
+  page.appendChild(list);
+}
+
+function buildTimePage(page, route) {
+  const title = document.createElement("h2");
+  title.textContent = "Time";
+  page.appendChild(title);
+  const clock = document.createElement("div");
+  clock.className = "clock";
+  page.appendChild(clock);
+  function tick() {
+    clock.textContent = new Date().toLocaleString();
+  }
+  tick();
+  const timer = setInterval(tick, 1000);
+  route.onUnmount(() => clearInterval(timer));
+}
+
+function buildSessionPage(page, route) {
+  const title = document.createElement("h2");
+  title.textContent = "Session";
+  page.appendChild(title);
+
+  const info = document.createElement("dl");
+  info.className = "session-info";
+  function renderInfo() {
+    info.innerHTML = "";
+    const rows = [
+      ["Session ID", state.session || "none"],
+      ["Age", state.sessionCreated ? formatAge(Date.now() - new Date(state.sessionCreated).getTime()) : "unknown"],
+      ["URL shuffling", state.shuffler ? "enabled" : "disabled"]
+    ];
+    rows.forEach(([label, value]) => {
+      const dt = document.createElement("dt");
+      dt.textContent = label;
+      const dd = document.createElement("dd");
+      dd.textContent = value;
+      info.appendChild(dt);
+      info.appendChild(dd);
+    });
+  }
+  renderInfo();
+  page.appendChild(info);
+  route.watch(["session", "sessionCreated", "shuffler"], renderInfo);
+
+  const checkBtn = document.createElement("button");
+  checkBtn.className = "btn btn-outline-light me-2";
+  checkBtn.textContent = "Check session";
+  checkBtn.onclick = () => {
+    validateSession().then(replaced => {
+      setStatus(replaced ? "Session was gone; a new session was created" : "Session is valid");
+    }).catch(err => {
+      console.error(err);
+      setStatus("Session error");
+    });
+  };
+  page.appendChild(checkBtn);
+
+  const rotateBtn = document.createElement("button");
+  rotateBtn.className = "btn btn-outline-warning";
+  rotateBtn.textContent = "New identity";
+  rotateBtn.title = "Delete this session on the server and reload all tabs in a new one";
+  rotateBtn.onclick = () => {
+    if (!confirm("Delete the current session and reload all tabs in a new one? Cookies and logins in proxied sites will be lost.")) return;
+    rotateSession().then(() => setStatus("New session created")).catch(err => {
+      console.error(err);
+      setStatus("Session error");
+    });
+  };
+  page.appendChild(rotateBtn);
+}
+
+// Other scripts add theirs through window.Horizon.registerPage()
+[
+  ["about", "About", "This list", buildAboutPage],
+  ["bookmarks", "Bookmarks", "Organize, import and export bookmarks; ?q= searches them", buildBookmarksPage],
+  ["chat", "Chat", "Talk to others on this Horizon; horizon://chat/<room> opens a room", buildChatPage],
+  ["history", "History", "Pages you visited; ?q= searches them", buildHistoryPage],
+  ["session", "Session", "The proxy session: check it or start a new one", buildSessionPage],
+  ["settings", "Settings", "Search engines, tabs and bookmarks bar", buildSettingsPage],
+  ["time", "Time", "A clock", buildTimePage]
+].forEach(([name, title, description, mount]) => registerPage(name, { title, description, mount }));
@@ -0,0 +1,170 @@
+import { STORAGE_KEYS, store, state, db, windows, nowISO, clamp, formatAge, setStatus, saveStorage } from "./state.js";
+import { createTabObject, tabRoom, tabLimitMessage } from "./tabs.js";
+
+// Recently closed tabs, saved tab groups and restoring the last session, all offered on the home view
+
+const MAX_CLOSED_ENTRIES = 25;
+
+// Tabs come back with their back/forward list but under a new ID: the old one may be in use again
+function reviveTab(tab) {
+  return { ...tab, id: createTabObject().id, pinned: false, lastActive: Date.now() };
+}
+
+export function rememberClosed(tabs) {
+  const kept = tabs.filter(t => t.url);
+  if (!kept.length) return;
+  store.set("closedTabs", [{ id: "c" + Math.random().toString(36).slice(2, 10), closedAt: nowISO(), tabs: kept }]
+    .concat(state.closedTabs)
+    .slice(0, MAX_CLOSED_ENTRIES));
+  saveStorage(STORAGE_KEYS.CLOSED_TABS, state.closedTabs);
+}
+
+// Adds tabs to this window, as many as fit; returns how many were opened
+const openRevivedTabs = store.action((tabs) => {
+  const opened = tabs.slice(0, tabRoom()).map(reviveTab);
+  if (!opened.length) {
+    setStatus(tabLimitMessage());
+    return 0;
+  }
+  store.set("tabs", state.tabs.concat(opened));
+  store.set("activeTab", state.tabs.length - 1);
+  if (opened.length < tabs.length) setStatus(`Only ${opened.length} of ${tabs.length} tabs fit: ${tabLimitMessage()}`);
+  return opened.length;
+});
+
+// Ctrl+Shift+T and the home view's list; entry 0 is the most recently closed
+export const reopenClosed = store.action((entryIdx = 0) => {
+  const entry = state.closedTabs[entryIdx];
+  if (!entry) return;
+  const opened = openRevivedTabs(entry.tabs);
+  if (!opened) return;
+  const rest = entry.tabs.slice(opened);
+  const closedTabs = state.closedTabs.slice();
+  if (rest.length) closedTabs[entryIdx] = { ...entry, tabs: rest };
+  else closedTabs.splice(entryIdx, 1);
+  store.set("closedTabs", closedTabs);
+  saveStorage(STORAGE_KEYS.CLOSED_TABS, state.closedTabs);
+});
+
+export function saveTabGroup() {
+  const tabs = state.tabs.filter(t => t.url);
+  if (!tabs.length) {
+    setStatus("No open pages to save");
+    return;
+  }
+  const name = (prompt(`Name for this group of ${tabs.length} tabs:`, "Tab group " + (state.tabGroups.length + 1)) || "").trim();
+  if (!name) return;
+  const group = { id: "g" + Math.random().toString(36).slice(2, 10), name, createdOn: nowISO(), tabs: tabs.map(t => ({ url: t.url, title: t.title, nav: t.nav })) };
+  store.set("tabGroups", [group].concat(state.tabGroups));
+  saveStorage(STORAGE_KEYS.TAB_GROUPS, state.tabGroups);
+  setStatus(`Saved "${name}"`);
+}
+
+function deleteTabGroup(id) {
+  store.set("tabGroups", state.tabGroups.filter(g => g.id !== id));
+  saveStorage(STORAGE_KEYS.TAB_GROUPS, state.tabGroups);
+}
+
+function claimPreviousSession(previous) {
+  previous.keys.forEach(key => {
+    db.remove(key);
+    windows.post({ type: "session-claimed", key });
+  });
+}
+
+export const restorePreviousSession = store.action((previous) => {
+  claimPreviousSession(previous);
+  // a restored session keeps its pinned tabs, and is never cut short by the tab limit
+  store.set("tabs", state.tabs.concat(previous.tabs.map(t => ({ ...reviveTab(t), pinned: !!t.pinned }))));
+  store.set("activeTab", clamp(previous.activeTab || 0, 0, state.tabs.length - 1));
+});
+
+// "Start fresh" keeps the old tabs reachable from recently closed
+export function discardPreviousSession(previous) {
+  claimPreviousSession(previous);
+  rememberClosed(previous.tabs);
+}
+
+// The home view's answer to "Restore N tabs from your last session?"
+export const answerRestorePrompt = store.action((restore) => {
+  const previous = state.pendingRestore;
+  if (!previous) return;
+  store.set("pendingRestore", null);
+  if (restore) restorePreviousSession(previous);
+  else discardPreviousSession(previous);
+});
+
+/* ---------- Home view ---------- */
+
+function closedEntryLabel(entry) {
+  if (entry.tabs.length === 1) return entry.tabs[0].title || entry.tabs[0].url;
+  return `${entry.tabs.length} tabs: ${entry.tabs.map(t => t.title || t.url).slice(0, 3).join(", ")}${entry.tabs.length > 3 ? ", …" : ""}`;
+}
+
+function homeList(container, heading, rows, headerButton) {
+  container.innerHTML = "";
+  if (!rows.length && !headerButton) return;
+  const h = document.createElement("h6");
+  h.textContent = heading;
+  if (headerButton) h.appendChild(headerButton);
+  container.appendChild(h);
+  const list = document.createElement("ul");
+  list.className = "home-list";
+  rows.forEach(({ label, meta, open, remove }) => {
+    const li = document.createElement("li");
+    const a = document.createElement("a");
+    a.href = "#";
+    a.textContent = label;
+    a.onclick = (e) => {
+      e.preventDefault();
+      open();
+    };
+    const info = document.createElement("span");
+    info.className = "home-list-meta";
+    info.textContent = meta;
+    li.append(a, info);
+    if (remove) {
+      const x = document.createElement("button");
+      x.className = "h-small-btn";
+      x.textContent = "✕";
+      x.title = "Delete";
+      x.onclick = remove;
+      li.appendChild(x);
+    }
+    list.appendChild(li);
+  });
+  container.appendChild(list);
+}
+
+// Restore prompt, recently closed and saved groups on the home view
+export function renderHomeExtras() {
+  const restoreBox = document.getElementById("restore-prompt");
+  const pending = state.pendingRestore;
+  restoreBox.style.display = pending ? "" : "none";
+  if (pending) {
+    const count = pending.tabs.length;
+    document.getElementById("restore-message").textContent = `Restore ${count} tab${count === 1 ? "" : "s"} from your last session?`;
+  }
+
+  homeList(document.getElementById("home-closed"), "Recently closed", state.closedTabs.slice(0, 10).map((entry, idx) => ({
+    label: closedEntryLabel(entry),
+    meta: formatAge(Date.now() - Date.parse(entry.closedAt)) + " ago",
+    open: () => reopenClosed(idx)
+  })));
+
+  let saveBtn = null;
+  if (state.tabs.some(t => t.url)) {
+    saveBtn = document.createElement("button");
+    saveBtn.className = "h-small-btn";
+    saveBtn.textContent = "Save open tabs";
+    saveBtn.onclick = saveTabGroup;
+  }
+  homeList(document.getElementById("home-groups"), "Saved tab groups", state.tabGroups.map(group => ({
+    label: group.name,
+    meta: group.tabs.length + " tabs",
+    open: () => openRevivedTabs(group.tabs),
+    remove: () => {
+      if (confirm(`Delete the tab group "${group.name}"?`)) deleteTabGroup(group.id);
+    }
+  })), saveBtn);
+}
@@ -0,0 +1,232 @@
+import { BAD_PASSWORD } from "../lib/api.js";
+import StrShuffler from "../lib/StrShuffler.js";
+import { STORAGE_KEYS, PASSWORD_KEY, INTERNAL_PREFIX, DEFAULT_SESSION_OPTIONS, api, store, state, nowISO, setStatus, saveStorage } from "./state.js";
+import { dom } from "./dom.js";
+import { reloadAllTabs } from "./frames.js";
+
+// The rammerhead session every tab is proxied through, the deployment password, and the proxied URLs
+// built and read under its shuffle dictionary
+
+/* ---------- Session (rammerhead) ---------- */
+
+let sessionTask = null; // in-flight create/validate/rotate, shared so concurrent callers don't race
+
+export async function ensureSession() {
+  if (state.session) return state.session;
+  return runSessionTask(createSession);
+}
+
+function runSessionTask(fn) {
+  if (!sessionTask) sessionTask = fn().finally(() => { sessionTask = null; });
+  return sessionTask;
+}
+
+async function createSession() {
+  setStatus("Creating session...");
+  const id = await api.newsession();
+  store.batch(() => {
+    store.set("session", id);
+    store.set("sessionCreated", nowISO());
+  });
+  saveStorage(STORAGE_KEYS.SESSION, id);
+  saveStorage(STORAGE_KEYS.SESSION_CREATED, state.sessionCreated);
+  // carry the user's upstream proxy / shuffling choice over to replacement sessions
+  const opts = state.sessionOptions;
+  if (opts.httpProxy !== DEFAULT_SESSION_OPTIONS.httpProxy || opts.enableShuffling !== DEFAULT_SESSION_OPTIONS.enableShuffling) {
+    try {
+      await api.editsession(id, opts.httpProxy, opts.enableShuffling);
+    } catch (e) {
+      console.warn("Could not apply session options to new session", e);
+    }
+  }
+  await refreshShuffleDict();
+  setStatus("Session ready");
+  return id;
+}
+
+export const setShuffleDict = store.action((dict) => {
+  store.set("shuffleDict", dict || null);
+  store.set("shuffler", dict ? new StrShuffler(dict) : null);
+});
+
+// Fetch shuffle dict for the current session (mirrors original behavior); no dict means shuffling is off
+async function refreshShuffleDict() {
+  let dict = null;
+  try {
+    dict = await api.shuffleDict(state.session);
+  } catch (e) {
+    // ignore; no shuffling
+  }
+  setShuffleDict(dict);
+  saveStorage(STORAGE_KEYS.SHUFFLE_DICT, state.shuffleDict);
+}
+
+// Checks the stored session against the server and replaces it when the server no longer knows it
+// (server restart, expiry). Resolves to true when a new session had to be created.
+export function validateSession() {
+  return runSessionTask(async () => {
+    if (state.session && await api.sessionexists(state.session)) return false;
+    if (state.session) console.warn("Session " + state.session + " is gone; creating a new one");
+    await createSession();
+    reloadAllTabs();
+    return true;
+  });
+}
+
+// "New identity": forget the current session server-side and start over with a fresh one
+export function rotateSession() {
+  return runSessionTask(async () => {
+    const old = state.session;
+    if (old) {
+      try {
+        await api.deletesession(old);
+      } catch (e) {
+        console.warn("Could not delete old session", e);
+      }
+    }
+    await createSession();
+    reloadAllTabs();
+    return state.session;
+  });
+}
+
+// Rammerhead takes the upstream proxy as "[user:pass@]host:port" (an "http://" prefix is stripped server-side).
+// Returns the normalized value, or throws a message describing what is wrong with it.
+export function normalizeHttpProxy(input) {
+  const value = (input || "").trim();
+  if (!value) return "";
+  const scheme = /^([a-zA-Z][a-zA-Z0-9+.-]*):\/\//.exec(value);
+  if (scheme && scheme[1].toLowerCase() !== "http") throw `only http:// upstream proxies are supported, got ${scheme[1]}://`;
+  let parsed;
+  try {
+    parsed = new URL(scheme ? value : "http://" + value);
+  } catch (e) {
+    throw "not a valid proxy address; expected host:port";
+  }
+  if (!parsed.hostname) throw "proxy host is missing";
+  // URL drops the default port, so an explicit ":80" has to be spotted in the input
+  const port = parsed.port || (/:80\/?$/.test(value) ? "80" : "");
+  if (!port) throw "proxy port is missing; expected host:port";
+  if ((parsed.pathname && parsed.pathname !== "/") || parsed.search || parsed.hash) throw "proxy address must not contain a path or query";
+  const auth = parsed.username ? parsed.username + (parsed.password ? ":" + parsed.password : "") + "@" : "";
+  return "http://" + auth + parsed.hostname + ":" + port;
+}
+
+export async function saveSessionOptions(httpProxy, enableShuffling) {
+  const id = await ensureSession();
+  await api.editsession(id, httpProxy, enableShuffling);
+  store.set("sessionOptions", { httpProxy, enableShuffling });
+  saveStorage(STORAGE_KEYS.SESSION_OPTIONS, state.sessionOptions);
+  // shuffling may have been switched on or off, which changes every proxied URL
+  await refreshShuffleDict();
+  reloadAllTabs();
+}
+
+// A proxied document always has hammerhead injected; anything else may be the server refusing an unknown session
+export function frameIsProxied(iframe) {
+  try {
+    return !!iframe.contentWindow["%hammerhead%"];
+  } catch (e) {
+    return true;
+  }
+}
+
+export function checkSessionAfterFailure() {
+  if (sessionTask) return;
+  validateSession().then(replaced => {
+    if (replaced) setStatus("Session expired; a new session was created");
+  }).catch(err => {
+    // the deployment password changed under us
+    if (err === BAD_PASSWORD) return unlockAndValidateSession();
+    console.error(err);
+    setStatus("Session error");
+  });
+}
+
+/* ---------- Password ---------- */
+
+function promptPassword(message) {
+  const overlay = dom.loginOverlay();
+  const input = dom.loginPassword();
+  dom.loginError().textContent = message || "";
+  input.value = "";
+  overlay.style.display = "";
+  input.focus();
+  return new Promise(resolve => {
+    dom.loginForm().onsubmit = (ev) => {
+      ev.preventDefault();
+      overlay.style.display = "none";
+      resolve(input.value);
+    };
+  });
+}
+
+// Asks for the deployment password when the server wants one, then validates (or creates) the session with it.
+// A wrong password re-opens the prompt instead of failing.
+export async function unlockAndValidateSession() {
+  if (!await api.needpassword()) return validateSession();
+  let pwd = sessionStorage.getItem(PASSWORD_KEY);
+  let message = "";
+  for (;;) {
+    if (pwd === null) {
+      setStatus("Password required");
+      pwd = await promptPassword(message);
+    }
+    api.setPassword(pwd);
+    try {
+      const replaced = await validateSession();
+      sessionStorage.setItem(PASSWORD_KEY, pwd);
+      return replaced;
+    } catch (e) {
+      if (e !== BAD_PASSWORD) throw e;
+      sessionStorage.removeItem(PASSWORD_KEY);
+      pwd = null;
+      message = "Wrong password, try again.";
+    }
+  }
+}
+
+/* ---------- Proxied URLs ---------- */
+
+export function buildProxyUrlFor(url) {
+  // If internal horizon, return as is
+  if (url.startsWith(INTERNAL_PREFIX)) return url;
+  const id = state.session;
+  if (!id) return url;
+  return `/${id}/${state.shuffler ? state.shuffler.shuffle(url) : url}`;
+}
+
+// Proxied documents live at "/<session>[!flags]/<url>"; the optional flags are hammerhead's resource markers
+const PROXY_PATH = /^\/([a-z0-9]{32})(?:[!*][^/]*)?\/(.*)$/;
+
+// Inverse of buildProxyUrlFor: takes a same-origin path (pathname + search + hash) and returns the real URL,
+// or null when the path is not a proxied page
+export function decodeProxyUrl(path) {
+  const match = PROXY_PATH.exec(path);
+  if (!match) return null;
+  // unshuffle() passes through strings without the shuffled prefix, so unshuffled sessions decode too
+  return state.shuffler ? state.shuffler.unshuffle(match[2]) : match[2];
+}
+
+// URLs read out of a proxied document may be rewritten proxy URLs or already the original; normalize to the original
+export function resolveFrameUrl(raw) {
+  try {
+    const parsed = new URL(raw, location.origin);
+    if (parsed.origin !== location.origin) return parsed.href;
+    return decodeProxyUrl(parsed.pathname + parsed.search + parsed.hash) || parsed.href;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Where a link or window.open() in a proxied page points, as an original URL; null for anything that isn't a web page
+export function frameTargetUrl(raw, baseUrl) {
+  let parsed;
+  try {
+    parsed = new URL(raw, baseUrl);
+  } catch (e) {
+    return null;
+  }
+  if (parsed.origin === location.origin) return decodeProxyUrl(parsed.pathname + parsed.search + parsed.hash);
+  return /^https?:$/.test(parsed.protocol) ? parsed.href : null;
+}
@@ -0,0 +1,202 @@
+import { PRESET_ENGINES, validateEngine } from "../lib/search.js";
+import { STORAGE_KEYS, store, state, setStatus, saveStorage } from "./state.js";
+import { normalizeHttpProxy, saveSessionOptions } from "./session.js";
+import { setBookmarks } from "./bookmarks.js";
+import { setHistory } from "./history.js";
+
+// User settings and horizon://settings
+
+export function searchEngines() {
+  return PRESET_ENGINES.concat(state.settings.customEngines);
+}
+
+/** Merges `changes` into the settings and saves them for every window. */
+export const updateSettings = store.action((changes) => {
+  store.set("settings", { ...state.settings, ...changes });
+  saveStorage(STORAGE_KEYS.SETTINGS, state.settings);
+});
+
+const resetLocalData = store.action(() => {
+  store.set("tabs", []);
+  store.set("activeTab", 0);
+  setBookmarks([]);
+  setHistory([]);
+});
+
+export function buildSettingsPage(page, route) {
+  const title = document.createElement("h2");
+  title.textContent = "Settings";
+  page.appendChild(title);
+
+  const bookmarkToggle = document.createElement("div");
+  bookmarkToggle.className = "form-check form-switch";
+  bookmarkToggle.innerHTML = `<input class="form-check-input" type="checkbox" id="setting-showBookmarks">
+    <label class="form-check-label" for="setting-showBookmarks">Show bookmarks bar</label>`;
+  page.appendChild(bookmarkToggle);
+  const cb = bookmarkToggle.querySelector("#setting-showBookmarks");
+  cb.onchange = () => updateSettings({ showBookmarkBar: cb.checked });
+
+  const discardRow = document.createElement("div");
+  discardRow.className = "setting-row mt-2";
+  discardRow.innerHTML = `<label for="setting-discardAfter">Discard background tabs idle for (minutes, 0 = never)</label>
+    <input class="form-control setting-number" type="number" min="0" step="1" id="setting-discardAfter">`;
+  page.appendChild(discardRow);
+  const discardInput = discardRow.querySelector("#setting-discardAfter");
+  discardInput.onchange = () => {
+    const minutes = Math.max(0, parseInt(discardInput.value, 10) || 0);
+    discardInput.value = minutes;
+    updateSettings({ discardAfterMinutes: minutes });
+  };
+
+  const maxTabsRow = document.createElement("div");
+  maxTabsRow.className = "setting-row mt-2";
+  maxTabsRow.innerHTML = `<label for="setting-maxTabs">Maximum open tabs per window (0 = no limit)</label>
+    <input class="form-control setting-number" type="number" min="0" step="1" id="setting-maxTabs">`;
+  page.appendChild(maxTabsRow);
+  const maxTabsInput = maxTabsRow.querySelector("#setting-maxTabs");
+  maxTabsInput.onchange = () => {
+    // a lower limit only stops new tabs; tabs already open stay open
+    const max = Math.max(0, parseInt(maxTabsInput.value, 10) || 0);
+    maxTabsInput.value = max;
+    updateSettings({ maxTabs: max });
+  };
+
+  const restoreRow = document.createElement("div");
+  restoreRow.className = "setting-row mt-2";
+  restoreRow.innerHTML = `<label for="setting-restoreSession">When a new window opens and the last session's tabs are still around</label>
+    <select class="form-select setting-select" id="setting-restoreSession">
+      <option value="ask">Ask whether to restore them</option>
+      <option value="always">Restore them</option>
+      <option value="never">Start fresh (keep them in recently closed)</option>
+    </select>`;
+  page.appendChild(restoreRow);
+  const restoreSelect = restoreRow.querySelector("#setting-restoreSession");
+  restoreSelect.onchange = () => updateSettings({ restoreSession: restoreSelect.value });
+
+  const searchSection = document.createElement("div");
+  searchSection.className = "setting-row mt-3";
+  searchSection.innerHTML = `<h5>Search</h5>
+    <label for="setting-searchEngine">Default search engine</label>
+    <select class="form-select setting-select" id="setting-searchEngine"></select>
+    <div class="form-text">Type a keyword before your search to use another engine, e.g. "w horizon".</div>
+    <table class="engine-list mt-2"><thead><tr><th>Engine</th><th>Keyword</th><th></th></tr></thead><tbody></tbody></table>
+    <div class="engine-form mt-2">
+      <input class="form-control" type="text" id="setting-engineName" placeholder="Name" autocomplete="off">
+      <input class="form-control" type="text" id="setting-engineKeyword" placeholder="Keyword" autocomplete="off">
+      <input class="form-control" type="text" id="setting-engineTemplate" placeholder="https://example.com/search?q=%s" autocomplete="off">
+      <button class="btn btn-outline-light btn-sm" id="setting-addEngine">Add</button>
+    </div>
+    <div class="setting-error" id="setting-engineError"></div>`;
+  page.appendChild(searchSection);
+  const engineSelect = searchSection.querySelector("#setting-searchEngine");
+  const engineRows = searchSection.querySelector(".engine-list tbody");
+  const engineError = searchSection.querySelector("#setting-engineError");
+  function renderEngines() {
+    engineSelect.innerHTML = "";
+    engineRows.innerHTML = "";
+    searchEngines().forEach(engine => {
+      const opt = document.createElement("option");
+      opt.value = engine.id;
+      opt.textContent = engine.name;
+      engineSelect.appendChild(opt);
+
+      const row = document.createElement("tr");
+      const name = document.createElement("td");
+      name.textContent = engine.name;
+      name.title = engine.template;
+      const keyword = document.createElement("td");
+      keyword.textContent = engine.keyword;
+      const actions = document.createElement("td");
+      if (state.settings.customEngines.includes(engine)) {
+        const remove = document.createElement("button");
+        remove.className = "btn btn-outline-danger btn-sm";
+        remove.textContent = "Remove";
+        remove.onclick = () => {
+          updateSettings({
+            customEngines: state.settings.customEngines.filter(e => e !== engine),
+            // the removed engine may have been the default
+            searchEngine: state.settings.searchEngine === engine.id ? PRESET_ENGINES[0].id : state.settings.searchEngine
+          });
+        };
+        actions.appendChild(remove);
+      }
+      row.append(name, keyword, actions);
+      engineRows.appendChild(row);
+    });
+    engineSelect.value = state.settings.searchEngine;
+  }
+  engineSelect.onchange = () => updateSettings({ searchEngine: engineSelect.value });
+  searchSection.querySelector("#setting-addEngine").onclick = () => {
+    const engine = {
+      id: "custom-" + Math.random().toString(36).slice(2, 10),
+      name: searchSection.querySelector("#setting-engineName").value.trim(),
+      keyword: searchSection.querySelector("#setting-engineKeyword").value.trim(),
+      template: searchSection.querySelector("#setting-engineTemplate").value.trim()
+    };
+    try {
+      validateEngine(engine, searchEngines());
+    } catch (e) {
+      engineError.textContent = e;
+      return;
+    }
+    engineError.textContent = "";
+    searchSection.querySelectorAll(".engine-form input").forEach(input => { input.value = ""; });
+    updateSettings({ customEngines: state.settings.customEngines.concat([engine]) });
+  };
+
+  const sessionSection = document.createElement("div");
+  sessionSection.className = "setting-row mt-3";
+  sessionSection.innerHTML = `<h5>Proxy session</h5>
+    <label for="setting-httpProxy">Upstream HTTP proxy (host:port, leave empty for a direct connection)</label>
+    <input class="form-control" type="text" id="setting-httpProxy" placeholder="proxy.example.com:3128" autocomplete="off">
+    <div class="form-check form-switch mt-2">
+      <input class="form-check-input" type="checkbox" id="setting-shuffling">
+      <label class="form-check-label" for="setting-shuffling">Shuffle proxied URLs</label>
+    </div>
+    <div><button class="btn btn-outline-light btn-sm mt-2" id="setting-saveSession">Save &amp; reload tabs</button></div>
+    <div class="setting-error" id="setting-sessionError"></div>`;
+  page.appendChild(sessionSection);
+  const proxyInput = sessionSection.querySelector("#setting-httpProxy");
+  const shufflingCb = sessionSection.querySelector("#setting-shuffling");
+  const sessionError = sessionSection.querySelector("#setting-sessionError");
+  proxyInput.value = state.sessionOptions.httpProxy;
+  shufflingCb.checked = state.sessionOptions.enableShuffling;
+  sessionSection.querySelector("#setting-saveSession").onclick = () => {
+    let httpProxy;
+    try {
+      httpProxy = normalizeHttpProxy(proxyInput.value);
+    } catch (e) {
+      sessionError.textContent = "Upstream proxy: " + e;
+      return;
+    }
+    sessionError.textContent = "";
+    setStatus("Saving session settings...");
+    saveSessionOptions(httpProxy, shufflingCb.checked).then(() => {
+      setStatus("Session settings saved");
+    }).catch(err => {
+      console.error(err);
+      sessionError.textContent = "Could not save: " + err;
+      setStatus("Session error");
+    });
+  };
+
+  const resetBtn = document.createElement("button");
+  resetBtn.className = "btn btn-outline-warning mt-2";
+  resetBtn.textContent = "Clear all tabs & local data (except session)";
+  resetBtn.onclick = () => {
+    if (!confirm("Reset tabs, bookmarks, and history? This will NOT delete the rammerhead session.")) return;
+    resetLocalData();
+  };
+  page.appendChild(resetBtn);
+
+  // the controls show the settings as they are, also after Ctrl+B or a change in another window
+  function fill() {
+    cb.checked = state.settings.showBookmarkBar;
+    discardInput.value = state.settings.discardAfterMinutes;
+    maxTabsInput.value = state.settings.maxTabs;
+    restoreSelect.value = state.settings.restoreSession;
+    renderEngines();
+  }
+  fill();
+  route.watch(["settings"], fill);
+}
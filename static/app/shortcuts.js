@@ -0,0 +1,91 @@
+import { state } from "./state.js";
+import { addTab, closeTab, closeAllTabsToHome, activateTab, navigateTo } from "./tabs.js";
+import { goInHistory, sendKeyToIframe } from "./frames.js";
+import { reopenClosed } from "./restore.js";
+import { toggleBookmark } from "./bookmarks.js";
+import { updateSettings } from "./settings.js";
+
+// Keyboard shortcuts, taken from the page while state.interceptKeys is set (i.e. not in fullscreen)
+
+function onKeyDown(ev) {
+  if (!state.interceptKeys) return; // when false, we let page handle
+  const isMac = navigator.platform.toLowerCase().includes("mac");
+  const ctrl = isMac ? ev.metaKey : ev.ctrlKey;
+
+  // Ctrl+Shift+T reopens the last closed tab
+  if (ctrl && ev.shiftKey && ev.key.toLowerCase() === "t") {
+    ev.preventDefault();
+    reopenClosed();
+    return;
+  }
+
+  // Ctrl+T
+  if (ctrl && ev.key.toLowerCase() === "t") {
+    ev.preventDefault();
+    addTab("", true);
+    return;
+  }
+
+  // Ctrl+W
+  if (ctrl && ev.key.toLowerCase() === "w" && !ev.shiftKey) {
+    ev.preventDefault();
+    closeTab(state.activeTab);
+    return;
+  }
+
+  // Ctrl+Shift+W -> close all and go home
+  if (ctrl && ev.key.toLowerCase() === "w" && ev.shiftKey) {
+    ev.preventDefault();
+    closeAllTabsToHome();
+    return;
+  }
+
+  // Ctrl+1..9 to switch
+  if (ctrl && /^[1-9]$/.test(ev.key)) {
+    ev.preventDefault();
+    // Ctrl+9 is always the last tab
+    const idx = ev.key === "9" ? state.tabs.length - 1 : parseInt(ev.key, 10) - 1;
+    if (idx < state.tabs.length) activateTab(idx);
+    return;
+  }
+
+  // Ctrl+D bookmark
+  if (ctrl && ev.key.toLowerCase() === "d") {
+    ev.preventDefault();
+    const cur = state.tabs[state.activeTab];
+    if (cur) toggleBookmark(cur.url, cur.title);
+    return;
+  }
+
+  // Ctrl+B toggle bookmark bar
+  if (ctrl && ev.key.toLowerCase() === "b") {
+    ev.preventDefault();
+    updateSettings({ showBookmarkBar: !state.settings.showBookmarkBar });
+    return;
+  }
+
+  // Ctrl+H open history
+  if (ctrl && ev.key.toLowerCase() === "h") {
+    ev.preventDefault();
+    navigateTo("horizon://history");
+    return;
+  }
+
+  // Alt+Left / Alt+Right / Alt+R for back/forward/refresh
+  if (ev.altKey && !ev.ctrlKey && !ev.metaKey) {
+    if (ev.key === "ArrowLeft") {
+      ev.preventDefault();
+      goInHistory(-1);
+    } else if (ev.key === "ArrowRight") {
+      ev.preventDefault();
+      goInHistory(1);
+    } else if (ev.key.toLowerCase() === "r") {
+      ev.preventDefault();
+      sendKeyToIframe("reload");
+    }
+  }
+}
+
+export function wireShortcuts() {
+  window.addEventListener("keydown", onKeyDown);
+}
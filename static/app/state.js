@@ -0,0 +1,123 @@
+import Api from "../lib/api.js";
+import Store, { isQuotaError } from "../lib/db.js";
+import WindowSync from "../lib/windows.js";
+import StateStore from "./store.js";
+
+// What every part of the UI shares: constants, the state store, and the server, storage and window links
+
+// kv record names in IndexedDB; the same names older versions used as localStorage keys
+export const STORAGE_KEYS = {
+  TABS: "horizon_tabs", // single-window tab list of older versions, adopted by the first window
+  ACTIVE_TAB: "horizon_activeTab",
+  WINDOW_TABS: "horizon_window_tabs:", // + window ID: { tabs, activeTab, updated }
+  CLOSED_TABS: "horizon_closed_tabs",
+  TAB_GROUPS: "horizon_tab_groups",
+  BOOKMARKS: "horizon_bookmarks",
+  HISTORY: "horizon_history",
+  SETTINGS: "horizon_settings",
+  SESSION: "horizon_session",
+  SESSION_CREATED: "horizon_session_created",
+  SESSION_OPTIONS: "horizon_session_options",
+  SHUFFLE_DICT: "horizon_shuffle_dict"
+};
+
+// sessionStorage, not localStorage: the deployment password is remembered only until the browser closes
+export const PASSWORD_KEY = "horizon_password";
+
+export const DEFAULT_HOME_TITLE = "Horizon Home";
+export const INTERNAL_PREFIX = "horizon://";
+export const DEFAULT_SETTINGS = {
+  showBookmarkBar: true,
+  discardAfterMinutes: 30, // 0 keeps background tabs alive forever
+  maxTabs: 0, // 0 = no limit
+  restoreSession: "ask", // a new window and the tabs of a closed one: "ask", "always" or "never"
+  searchEngine: "google",
+  customEngines: [], // { id, name, keyword, template } with "%s" for the query
+  chatNick: "" // the server calls people without one "guest"
+};
+// Server-side options of the rammerhead session, applied through /editsession
+export const DEFAULT_SESSION_OPTIONS = {
+  httpProxy: "",
+  enableShuffling: true
+};
+
+export const api = new Api();
+
+export function nowISO() { return (new Date()).toISOString(); }
+
+export function setStatus(text) {
+  const el = document.getElementById("status");
+  if (el) el.textContent = text || "Ready";
+}
+
+export function clamp(n, min, max) { return Math.max(min, Math.min(max, n)); }
+
+export function formatAge(ms) {
+  const minutes = Math.floor(ms / 60000);
+  if (minutes < 1) return "less than a minute";
+  if (minutes < 60) return minutes + " min";
+  const hours = Math.floor(minutes / 60);
+  if (hours < 48) return hours + " h " + (minutes % 60) + " min";
+  return Math.floor(hours / 24) + " days";
+}
+
+/* ---------- State ---------- */
+
+// The single source of truth; IndexedDB only mirrors it. Filled from there by hydrateState() in init.
+// Read it freely, change it only through store.set()/store.changed() (usually inside an action) so the
+// parts of the UI that show a slice hear about it.
+export const store = new StateStore({
+  tabs: [],
+  activeTab: 0,
+  bookmarks: [],
+  history: [],
+  settings: { ...DEFAULT_SETTINGS },
+  session: null,
+  sessionCreated: null,
+  sessionOptions: { ...DEFAULT_SESSION_OPTIONS },
+  shuffleDict: null,
+  closedTabs: [], // newest first: { id, closedAt, tabs }, one tab or a whole window's worth
+  tabGroups: [], // { id, name, createdOn, tabs }
+  pendingRestore: null, // the last session's tabs while the home view offers to restore them
+  shuffler: null,
+  interceptKeys: true // toggled when fullscreen to allow page to receive keys
+});
+
+export const state = store.state;
+
+/* ---------- Persistence ---------- */
+
+let storageWarned = false;
+
+// Writes never throw at the caller; a full disk is shown to the user (once per page load, then in the status bar)
+function reportStorageError(err) {
+  console.error("Storage write failed", err);
+  if (isQuotaError(err)) {
+    setStatus("Storage full: recent changes were not saved. Clear some history to free space.");
+    if (!storageWarned) alert("Horizon could not save your data because browser storage is full. Clearing history from horizon://history frees the most space.");
+  } else {
+    setStatus("Could not save: " + (err && err.message ? err.message : err));
+  }
+  storageWarned = true;
+}
+
+export const db = new Store(reportStorageError);
+export const windows = new WindowSync();
+
+// Records every window shares; a change is written once and announced to the other windows
+const SHARED_KEYS = [
+  STORAGE_KEYS.SETTINGS,
+  STORAGE_KEYS.SESSION,
+  STORAGE_KEYS.SESSION_CREATED,
+  STORAGE_KEYS.SESSION_OPTIONS,
+  STORAGE_KEYS.SHUFFLE_DICT,
+  STORAGE_KEYS.CLOSED_TABS,
+  STORAGE_KEYS.TAB_GROUPS
+];
+
+// Shared data is saved by the action that changed it, not by a subscription: changes from other windows
+// come through the store as well, and must not be written and announced again
+export function saveStorage(key, value) {
+  db.put(key, value);
+  if (SHARED_KEYS.includes(key)) windows.post({ type: "kv", key, value });
+}
@@ -0,0 +1,87 @@
+// The page's state and who depends on which part of it. The state object is split into slices (its keys:
+// "tabs", "bookmarks", ...); every change names the slices it touched, and the subscribers of those slices
+// run once the outermost action is done. A handler thus sees consistent state and runs once per change,
+// however many steps the change took.
+
+export default class StateStore {
+  /** @param {object} state the initial slices; this object stays the same for the life of the page */
+  constructor(state) {
+    this.state = state;
+    this.subscribers = new Set(); // { keys: Set<string>, fn }
+    this.pending = new Set();
+    this.depth = 0;
+    this.flushing = false;
+  }
+
+  /** Takes values in without telling anyone, e.g. what was read from storage before the UI exists. */
+  load(values) {
+    Object.assign(this.state, values);
+  }
+
+  set(key, value) {
+    this.state[key] = value;
+    this.changed(key);
+  }
+
+  /** Marks slices as changed after they were mutated in place (a tab's title, a pushed tab). */
+  changed(...keys) {
+    keys.forEach(key => this.pending.add(key));
+    if (!this.depth) this.flush();
+  }
+
+  /** Runs `fn` holding back notifications until it returns; batches nest. Returns what `fn` returns. */
+  batch(fn) {
+    this.depth++;
+    try {
+      return fn();
+    } finally {
+      this.depth--;
+      if (!this.depth) this.flush();
+    }
+  }
+
+  /**
+   * Wraps `fn` so each call is one batch. Actions are synchronous: changes after an `await` are
+   * delivered as they happen.
+   */
+  action(fn) {
+    return (...args) => this.batch(() => fn(...args));
+  }
+
+  /**
+   * Calls `fn(changedKeys)` after every change to one of `keys`.
+   * @param {string[]} keys
+   * @param {(changed: Set<string>) => void} fn
+   * @returns {() => void} unsubscribes
+   */
+  subscribe(keys, fn) {
+    const subscriber = { keys: new Set(keys), fn };
+    this.subscribers.add(subscriber);
+    return () => this.subscribers.delete(subscriber);
+  }
+
+  flush() {
+    // handlers may change state too; those changes go out in another round once this one is done
+    if (this.flushing) return;
+    this.flushing = true;
+    try {
+      while (this.pending.size) {
+        const changed = this.pending;
+        this.pending = new Set();
+        for (const subscriber of [...this.subscribers]) {
+          // unsubscribed by a handler earlier in this round
+          if (!this.subscribers.has(subscriber)) continue;
+          if (![...changed].some(key => subscriber.keys.has(key))) continue;
+          try {
+            subscriber.fn(changed);
+          } catch (e) {
+            // one broken handler (an extension, say) must not keep the others from running
+            console.error("State subscriber failed", e);
+          }
+        }
+      }
+    } finally {
+      this.flushing = false;
+    }
+  }
+}
@@ -0,0 +1,156 @@
+import { newWindowId } from "../lib/windows.js";
+import { STORAGE_KEYS, DEFAULT_HOME_TITLE, DEFAULT_SETTINGS, DEFAULT_SESSION_OPTIONS, store, state, db, windows, clamp, setStatus } from "./state.js";
+import { setShuffleDict } from "./session.js";
+import { reloadAllTabs } from "./frames.js";
+import { tabRoom, windowTabsKey, closeTab } from "./tabs.js";
+import { restorePreviousSession, discardPreviousSession, saveTabGroup } from "./restore.js";
+import { MAX_HISTORY_ENTRIES } from "./history.js";
+
+// Several Horizon windows share bookmarks, history, settings and the session live; each has its own tabs.
+// Changes from the other windows are applied to the store like local ones, so the UI follows either way.
+
+const WINDOW_READY_TIMEOUT_MS = 10 * 1000;
+const TAB_MOVE_TIMEOUT_MS = 2000;
+
+// This window's tabs: its own saved set after a reload. A new window may instead pick up the last session,
+// the most recent set of a window that is no longer open (or the single-window list of older versions);
+// depending on the restoreSession setting that is restored, offered, or moved to recently closed
+export function claimTabSet(kv, fresh) {
+  const own = kv[windowTabsKey()];
+  const tabs = (own && own.tabs) || [];
+  store.load({ tabs, activeTab: clamp((own && own.activeTab) || 0, 0, Math.max(0, tabs.length - 1)) });
+  if (own || fresh) return;
+
+  let previous = null;
+  if (kv[STORAGE_KEYS.TABS]) {
+    previous = { keys: [STORAGE_KEYS.TABS, STORAGE_KEYS.ACTIVE_TAB], tabs: kv[STORAGE_KEYS.TABS], activeTab: kv[STORAGE_KEYS.ACTIVE_TAB] || 0 };
+  } else {
+    const orphans = Object.keys(kv)
+      .filter(key => key.startsWith(STORAGE_KEYS.WINDOW_TABS) && !windows.peers.has(key.slice(STORAGE_KEYS.WINDOW_TABS.length)))
+      .sort((a, b) => (kv[b].updated || 0) - (kv[a].updated || 0));
+    if (orphans.length) previous = { keys: [orphans[0]], ...kv[orphans[0]] };
+  }
+  if (!previous) return;
+  if (!previous.tabs || !previous.tabs.length) {
+    previous.keys.forEach(key => db.remove(key));
+  } else if (state.settings.restoreSession === "always") {
+    restorePreviousSession(previous);
+  } else if (state.settings.restoreSession === "never") {
+    discardPreviousSession(previous);
+  } else {
+    store.set("pendingRestore", previous);
+  }
+}
+
+export function describeWindow() {
+  const active = state.tabs[state.activeTab];
+  return { tabs: state.tabs.length, title: active ? active.title || active.url : DEFAULT_HOME_TITLE };
+}
+
+let sessionReloadPending = false;
+
+// Changes made in other windows; they have already been written to the store
+export const onWindowMessage = store.action((msg) => {
+  if (msg.type === "history") {
+    if (msg.clear) store.set("history", []);
+    else {
+      const removed = new Set(msg.removed);
+      const history = msg.added.concat(state.history.filter(h => !removed.has(h.id)));
+      if (msg.added.length) history.sort((a, b) => (a.ts < b.ts ? 1 : a.ts > b.ts ? -1 : 0));
+      // the sender has already trimmed its copy and the database the same way
+      store.set("history", history.slice(0, MAX_HISTORY_ENTRIES));
+    }
+  } else if (msg.type === "bookmarks") {
+    store.set("bookmarks", msg.items);
+    db.markSynced("bookmarks", state.bookmarks);
+  } else if (msg.type === "kv") {
+    applySharedRecord(msg.key, msg.value);
+  } else if (msg.type === "tab-move") {
+    receiveTab(msg);
+  } else if (msg.type === "session-claimed") {
+    // another window restored or dismissed the session this one is offering
+    if (state.pendingRestore && state.pendingRestore.keys.includes(msg.key)) store.set("pendingRestore", null);
+  }
+});
+
+function applySharedRecord(key, value) {
+  if (key === STORAGE_KEYS.SETTINGS) {
+    store.set("settings", { ...DEFAULT_SETTINGS, ...value });
+  } else if (key === STORAGE_KEYS.SESSION_CREATED) {
+    store.set("sessionCreated", value);
+  } else if (key === STORAGE_KEYS.CLOSED_TABS) {
+    store.set("closedTabs", value);
+  } else if (key === STORAGE_KEYS.TAB_GROUPS) {
+    store.set("tabGroups", value);
+  } else if (key === STORAGE_KEYS.SESSION_OPTIONS) {
+    store.set("sessionOptions", { ...DEFAULT_SESSION_OPTIONS, ...value });
+  } else if (key === STORAGE_KEYS.SESSION || key === STORAGE_KEYS.SHUFFLE_DICT) {
+    if (key === STORAGE_KEYS.SESSION) store.set("session", value);
+    else setShuffleDict(value);
+    // a new session (or shuffling switched) arrives as several records; reload the tabs once for all of them
+    if (!sessionReloadPending) {
+      sessionReloadPending = true;
+      setTimeout(() => {
+        sessionReloadPending = false;
+        reloadAllTabs();
+      }, 0);
+    }
+  }
+}
+
+function receiveTab(msg) {
+  const accepted = tabRoom() > 0;
+  if (accepted) {
+    store.set("tabs", state.tabs.concat([{ ...msg.tab, pinned: false, lastActive: Date.now() }]));
+    store.set("activeTab", state.tabs.length - 1);
+    window.focus();
+  }
+  windows.post({ type: "tab-moved", to: msg.from, tabId: msg.tab.id, accepted });
+}
+
+// Hands a tab to another window; it is only closed here once the other window has taken it
+async function moveTabToWindow(idx, windowId) {
+  const tab = state.tabs[idx];
+  if (!tab) return;
+  const reply = windows.waitFor(m => m.type === "tab-moved" && m.from === windowId && m.tabId === tab.id, TAB_MOVE_TIMEOUT_MS);
+  windows.post({ type: "tab-move", to: windowId, tab });
+  const answer = await reply;
+  if (!answer) {
+    setStatus("The other window did not respond; the tab was not moved");
+    return;
+  }
+  if (!answer.accepted) {
+    setStatus("The other window has no room for more tabs");
+    return;
+  }
+  const current = state.tabs.findIndex(t => t.id === tab.id);
+  // it lives on in the other window, so it isn't "recently closed"
+  if (current !== -1) closeTab(current, false);
+}
+
+async function moveTabToNewWindow(idx) {
+  const id = newWindowId();
+  const ready = windows.waitFor(m => m.type === "ready" && m.from === id, WINDOW_READY_TIMEOUT_MS);
+  // the new window takes the ID from the hash, so it starts empty instead of adopting a closed window's tabs
+  const win = window.open(location.pathname + "#window=" + id, "_blank");
+  if (!win) {
+    setStatus("Pop-up blocked: allow pop-ups for this site to open a new window");
+    return;
+  }
+  if (await ready) await moveTabToWindow(idx, id);
+  else setStatus("The new window did not start in time; the tab was not moved");
+}
+
+export function windowMenuItems(idx) {
+  const items = [
+    { label: "Save all tabs as group…", action: () => saveTabGroup() },
+    { label: "Move to new window", action: () => moveTabToNewWindow(idx) }
+  ];
+  windows.peers.forEach((peer, id) => {
+    items.push({
+      label: `Move to window: ${peer.title || "Horizon"} (${peer.tabs || 0} tabs)`,
+      action: () => moveTabToWindow(idx, id)
+    });
+  });
+  return items;
+}
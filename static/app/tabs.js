@@ -0,0 +1,344 @@
+import { resolveInput } from "../lib/search.js";
+import { STORAGE_KEYS, DEFAULT_HOME_TITLE, INTERNAL_PREFIX, store, state, db, windows, nowISO, clamp, setStatus } from "./state.js";
+import { dom, showPopupMenu } from "./dom.js";
+import { ensureSession } from "./session.js";
+import { mountTab, reloadTab, renderActiveContent, recordNavigation, isTabDiscarded, faviconSrcFor } from "./frames.js";
+import { rememberClosed } from "./restore.js";
+import { windowMenuItems } from "./sync.js";
+import { searchEngines } from "./settings.js";
+
+// The tab manager: this window's tab list, the tab strip, and opening pages in tabs
+
+export function createTabObject(url = "", title = DEFAULT_HOME_TITLE) {
+  return {
+    id: "t" + Math.random().toString(36).slice(2, 10),
+    url,
+    title,
+    createdOn: nowISO(),
+    lastActive: Date.now()
+  };
+}
+
+// How many more tabs may be opened under the maxTabs setting
+export function tabRoom() {
+  const max = state.settings.maxTabs;
+  return max > 0 ? Math.max(0, max - state.tabs.length) : Infinity;
+}
+
+export function tabLimitMessage() {
+  return `Tab limit reached (${state.settings.maxTabs}); close a tab or raise the limit in settings`;
+}
+
+export function windowTabsKey(id = windows.id) {
+  return STORAGE_KEYS.WINDOW_TABS + id;
+}
+
+function persistTabs() {
+  db.put(windowTabsKey(), { tabs: state.tabs, activeTab: state.activeTab, updated: Date.now() });
+  windows.announce();
+}
+
+// The tabs belong to this window alone, so every change to them is saved, whoever made it
+store.subscribe(["tabs", "activeTab"], persistTabs);
+
+/* ---------- Tab strip ---------- */
+
+let tabDrag = null; // ID of the tab being dragged in the strip
+
+export function renderTabs() {
+  const bar = dom.tabsBar();
+  bar.innerHTML = "";
+  state.tabs.forEach((tab, idx) => {
+    const el = document.createElement("div");
+    el.className = "tab";
+    if (idx === state.activeTab) el.classList.add("active");
+    if (tab.pinned) el.classList.add("pinned");
+    if (isTabDiscarded(tab)) {
+      el.classList.add("discarded");
+      el.title = "Discarded to save memory";
+    }
+    el.dataset.idx = idx;
+    el.draggable = true;
+
+    const iconSrc = faviconSrcFor(tab);
+    if (iconSrc) {
+      const icon = document.createElement("img");
+      icon.className = "tab-favicon";
+      icon.alt = "";
+      icon.src = iconSrc;
+      icon.onerror = () => icon.remove();
+      el.appendChild(icon);
+    }
+
+    const title = document.createElement("span");
+    title.className = "tab-title";
+    title.textContent = tab.title || tab.url || "New Tab";
+    // pinned tabs show only their icon; the title moves to the tooltip
+    if (tab.pinned) el.title = title.textContent;
+    el.appendChild(title);
+
+    if (!tab.pinned) {
+      const close = document.createElement("button");
+      close.className = "tab-close";
+      close.title = "Close";
+      close.textContent = "✕";
+      close.onclick = (e) => {
+        e.stopPropagation();
+        closeTab(idx);
+      };
+      el.appendChild(close);
+    }
+
+    el.onclick = () => activateTab(idx);
+    el.onauxclick = (e) => {
+      if (e.button === 1 && !tab.pinned) {
+        e.preventDefault();
+        closeTab(idx);
+      }
+    };
+    el.oncontextmenu = (e) => {
+      e.preventDefault();
+      showPopupMenu(e.clientX, e.clientY, tabMenuItems(idx));
+    };
+
+    el.ondragstart = (e) => {
+      tabDrag = tab.id;
+      e.dataTransfer.effectAllowed = "move";
+      e.dataTransfer.setData("text/plain", tab.url || "");
+    };
+    el.ondragend = () => {
+      tabDrag = null;
+      bar.querySelectorAll(".drop-before, .drop-after").forEach(t => t.classList.remove("drop-before", "drop-after"));
+    };
+    el.ondragover = (e) => {
+      const dragged = tabDrag && state.tabs.find(t => t.id === tabDrag);
+      // pinned tabs stay in front of the others, so a tab can only be dropped among its own kind
+      if (!dragged || dragged.id === tab.id || !!dragged.pinned !== !!tab.pinned) return;
+      e.preventDefault();
+      const rect = el.getBoundingClientRect();
+      const after = e.clientX > rect.left + rect.width / 2;
+      el.classList.toggle("drop-after", after);
+      el.classList.toggle("drop-before", !after);
+    };
+    el.ondragleave = () => el.classList.remove("drop-before", "drop-after");
+    el.ondrop = (e) => {
+      if (!tabDrag) return;
+      e.preventDefault();
+      const after = el.classList.contains("drop-after");
+      el.classList.remove("drop-before", "drop-after");
+      moveTabBefore(tabDrag, after ? (state.tabs[idx + 1] || {}).id : tab.id);
+    };
+
+    bar.appendChild(el);
+  });
+
+  // keep the active tab in view when the strip overflows
+  const activeEl = bar.querySelector(".tab.active");
+  if (activeEl) activeEl.scrollIntoView({ block: "nearest", inline: "nearest" });
+  updateTabListButton();
+}
+
+// The ⌄ button at the end of the strip is only there while the strip overflows
+export function updateTabListButton() {
+  const bar = dom.tabsBar();
+  dom.tabListBtn().style.display = bar.scrollWidth > bar.clientWidth ? "" : "none";
+}
+
+function animateTabIn(idx) {
+  requestAnimationFrame(() => {
+    const el = document.querySelectorAll(".tab")[idx];
+    if (!el) return;
+    el.classList.add("enter");
+    setTimeout(() => el.classList.remove("enter"), 400);
+  });
+}
+
+function tabMenuItems(idx) {
+  const tab = state.tabs[idx];
+  const others = state.tabs.filter(t => t !== tab && !t.pinned);
+  const right = state.tabs.slice(idx + 1).filter(t => !t.pinned);
+  const items = [
+    { label: "New tab", action: () => addTab("", true) },
+    { label: "Reload", action: () => reloadTab(tab) },
+    { label: "Duplicate", action: () => duplicateTab(state.tabs.indexOf(tab)) },
+    { label: tab.pinned ? "Unpin" : "Pin", action: () => togglePin(state.tabs.indexOf(tab)) },
+    { label: "Close", action: () => closeTab(state.tabs.indexOf(tab)) }
+  ];
+  // pinned tabs are left alone by the bulk closes, like in other browsers
+  if (others.length) items.push({ label: "Close other tabs", action: () => closeTabsWhere(t => others.includes(t)) });
+  if (right.length) items.push({ label: "Close tabs to the right", action: () => closeTabsWhere(t => right.includes(t)) });
+  return items.concat(windowMenuItems(idx));
+}
+
+// The ⌄ button at the end of an overflowing strip: every tab in a menu
+export function showTabList() {
+  const rect = dom.tabListBtn().getBoundingClientRect();
+  showPopupMenu(rect.left, rect.bottom + 4, state.tabs.map((tab, idx) => ({
+    label: (idx === state.activeTab ? "● " : "") + (tab.pinned ? "📌 " : "") + (tab.title || tab.url || "New Tab"),
+    action: () => activateTab(idx)
+  })));
+}
+
+/* ---------- Tab operations ---------- */
+
+// Returns the new tab, or null when the tab limit is reached (nothing is ever closed to make room)
+export const addTab = store.action((url = "", makeActive = true) => {
+  if (tabRoom() === 0) {
+    setStatus(tabLimitMessage());
+    return null;
+  }
+  const tab = createTabObject(url, url === "" ? DEFAULT_HOME_TITLE : url);
+  store.set("tabs", state.tabs.concat([tab]));
+  if (makeActive) store.set("activeTab", state.tabs.length - 1);
+  animateTabIn(state.tabs.length - 1);
+  return tab;
+});
+
+// Replaces the tab list, keeping the same tab active whatever its new position
+export const setTabOrder = store.action((tabs) => {
+  const active = state.tabs[state.activeTab];
+  const idx = active ? tabs.indexOf(active) : -1;
+  store.set("tabs", tabs);
+  store.set("activeTab", idx === -1 ? clamp(state.activeTab, 0, Math.max(0, tabs.length - 1)) : idx);
+});
+
+function moveTabBefore(id, beforeId) {
+  const tab = state.tabs.find(t => t.id === id);
+  if (!tab || id === beforeId) return;
+  const rest = state.tabs.filter(t => t !== tab);
+  const at = beforeId ? rest.findIndex(t => t.id === beforeId) : -1;
+  rest.splice(at === -1 ? rest.length : at, 0, tab);
+  setTabOrder(rest);
+}
+
+const togglePin = store.action((idx) => {
+  const tab = state.tabs[idx];
+  if (!tab) return;
+  tab.pinned = !tab.pinned;
+  // pinned tabs are kept together at the start of the strip; the tab lands on the boundary either way
+  const pinned = state.tabs.filter(t => t.pinned && t !== tab);
+  const others = state.tabs.filter(t => !t.pinned && t !== tab);
+  setTabOrder(pinned.concat([tab], others));
+});
+
+const duplicateTab = store.action((idx) => {
+  const source = state.tabs[idx];
+  if (!source) return;
+  if (tabRoom() === 0) {
+    setStatus(tabLimitMessage());
+    return;
+  }
+  const copy = { ...createTabObject(source.url, source.title), favicon: source.favicon, nav: source.nav ? { entries: source.nav.entries.slice(), index: source.nav.index } : undefined };
+  store.set("tabs", state.tabs.slice(0, idx + 1).concat([copy], state.tabs.slice(idx + 1)));
+  store.set("activeTab", idx + 1);
+  animateTabIn(idx + 1);
+});
+
+// Closes several tabs at once; they come back together from recently closed
+const closeTabsWhere = store.action((predicate) => {
+  const closing = state.tabs.filter(predicate);
+  if (!closing.length) return;
+  rememberClosed(closing);
+  setTabOrder(state.tabs.filter(t => !closing.includes(t)));
+});
+
+export const closeTab = store.action((idx, remember = true) => {
+  if (idx < 0 || idx >= state.tabs.length) return;
+  if (remember) rememberClosed([state.tabs[idx]]);
+  store.set("tabs", state.tabs.filter((t, i) => i !== idx));
+  if (state.tabs.length === 0) {
+    // show home
+    store.set("activeTab", 0);
+  } else if (idx <= state.activeTab) {
+    store.set("activeTab", Math.max(0, state.activeTab - 1));
+  }
+});
+
+export const closeAllTabsToHome = store.action(() => {
+  rememberClosed(state.tabs);
+  store.set("tabs", []);
+  store.set("activeTab", 0);
+});
+
+export const activateTab = store.action((idx) => {
+  if (idx < 0 || idx >= state.tabs.length) return;
+  store.set("activeTab", idx);
+});
+
+/* ---------- Navigation ---------- */
+
+export function normalizeUrlOrSearch(input) {
+  input = (input || "").trim();
+  if (!input) return "about:blank";
+  // If internal "horizon://" usage
+  if (input.startsWith(INTERNAL_PREFIX)) return input;
+  // keyword search ("w foo"), URL, or a search with the default engine
+  return resolveInput(input, searchEngines(), state.settings.searchEngine);
+}
+
+// Points the active tab at `url`; the frame follows when the tab list is rendered
+const navigateActiveTab = store.action((url) => {
+  const active = state.tabs[state.activeTab];
+  active.url = url;
+  active.title = url;
+  active.favicon = null;
+  store.changed("tabs");
+});
+
+// inNewTab opens a new tab, in the background (loaded but not shown) when background is set
+export function navigateTo(rawInput, inNewTab = false, background = false) {
+  const url = normalizeUrlOrSearch(rawInput);
+  const newTab = inNewTab || !state.tabs.length;
+  // internal pages handling
+  if (url.startsWith(INTERNAL_PREFIX)) {
+    store.batch(() => {
+      const tab = newTab ? addTab(url, !background) : state.tabs[state.activeTab];
+      if (!tab) return;
+      if (!newTab) navigateActiveTab(url);
+      recordNavigation(tab, url);
+      store.changed("tabs");
+    });
+    return;
+  }
+
+  // Ensure session exists before navigating to proxied sites
+  ensureSession().then(() => {
+    if (newTab) {
+      const tab = addTab(url, !background);
+      // a background tab starts loading right away, hidden behind the active one
+      if (tab && background) {
+        mountTab(tab);
+        renderActiveContent();
+      }
+      // the active tab's iframe is created by renderActiveContent -> iframe loads -> pushHistoryEntry triggered on load
+    } else {
+      // renderActiveContent points the iframe at the new URL; its onload records the navigation and history
+      navigateActiveTab(url);
+    }
+  }).catch(err => {
+    console.error(err);
+    setStatus("Session error");
+  });
+}
+
+// Middle-click or Ctrl/Cmd+click opens a background tab, Shift+click a new foreground tab, like browser links
+export function openLink(url, ev) {
+  if (ev && (ev.button === 1 || ev.ctrlKey || ev.metaKey)) navigateTo(url, true, true);
+  else if (ev && ev.shiftKey) navigateTo(url, true);
+  else navigateTo(url);
+}
+
+// Gives an element that opens `url` the openLink behaviour for clicks and middle-clicks
+export function linkHandlers(el, url, before = () => {}) {
+  el.onclick = (e) => {
+    e.preventDefault();
+    before();
+    openLink(url, e);
+  };
+  el.onauxclick = (e) => {
+    if (e.button !== 1) return;
+    e.preventDefault();
+    before();
+    openLink(url, e);
+  };
+}
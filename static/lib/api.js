@@ -1,6 +1,14 @@
+// thrown (like the other error strings here) when the server rejects the deployment password
+export const BAD_PASSWORD = "bad password";
+
 export default class Api {
     constructor() {
         this.ok = true;
+        this.password = "";
+    }
+
+    setPassword(password) {
+        this.password = password || "";
     }
 
     async needpassword() {
@@ -43,14 +51,26 @@ export default class Api {
         return JSON.parse(res);
     }
 
+    /**
+     * The ws:// or wss:// URL of a WebSocket route on this server, with the password like the other requests.
+     * @param {string} path
+     * @param {string} [base] page URL it is relative to
+     */
+    socketUrl(path, base = location.href) {
+        const url = new URL(path, base);
+        url.protocol = url.protocol === "https:" ? "wss:" : "ws:";
+        if (this.password) url.searchParams.set("pwd", this.password);
+        return url.href;
+    }
+
     async get(url, shush = false) {
-        const pwd = getPassword();
+        const pwd = this.password;
         if (pwd) {
             // really cheap way of adding a query parameter
             if (url.includes("?")) {
-                url += "&pwd=" + pwd;
+                url += "&pwd=" + encodeURIComponent(pwd);
             } else {
-                url += "?pwd=" + pwd;
+                url += "?pwd=" + encodeURIComponent(pwd);
             }
         }
         const request = await fetch(url);
@@ -60,12 +80,7 @@ export default class Api {
             if(request.status === 200) return text;
             if (!shush) throw `unexpected server response to not match "200". Server says ""${text}""`
         } else {
-            if (!shush) throw "Cannot communicate with the server";
+            if (!shush) throw request.status === 403 ? BAD_PASSWORD : "Cannot communicate with the server";
         }
     }
 }
-
-function getPassword() {
-    var element = document.getElementById("session-password");
-    return element ? element.value : "";
-}
\ No newline at end of file
@@ -0,0 +1,150 @@
+// Bookmarks are one flat array so older data and URL lookups keep working. Folders are entries with
+// `folder: true` and no URL, `parentId` is the containing folder (null or missing for the top level),
+// and siblings appear in array order.
+
+export function newBookmarkId() {
+    return "b" + Math.random().toString(36).slice(2, 10);
+}
+
+export function parentOf(item) {
+    return item.parentId || null;
+}
+
+export function childrenOf(items, parentId) {
+    return items.filter(item => parentOf(item) === parentId);
+}
+
+/** IDs of everything inside a folder, at any depth (not including the folder itself). */
+export function descendantIds(items, folderId) {
+    const ids = new Set();
+    let frontier = [folderId];
+    while (frontier.length) {
+        const next = [];
+        for (const item of items) {
+            if (frontier.includes(parentOf(item)) && !ids.has(item.id)) {
+                ids.add(item.id);
+                if (item.folder) next.push(item.id);
+            }
+        }
+        frontier = next;
+    }
+    return ids;
+}
+
+/** Titles of the folders leading to an item, outermost first. */
+export function folderPath(items, item) {
+    const path = [];
+    let parent = parentOf(item);
+    while (parent) {
+        const folder = items.find(i => i.id === parent);
+        if (!folder) break;
+        path.unshift(folder.title);
+        parent = parentOf(folder);
+    }
+    return path;
+}
+
+/** Returns a new array without the item and, for a folder, everything in it. */
+export function removeBookmark(items, id) {
+    const gone = descendantIds(items, id);
+    gone.add(id);
+    return items.filter(item => !gone.has(item.id));
+}
+
+/**
+ * Returns a new array with the item moved into `parentId`, just before the sibling `beforeId`
+ * (or at the end of the folder when beforeId is null). Throws when a folder would end up inside itself.
+ * @param {Array<object>} items
+ * @param {string} id
+ * @param {string | null} parentId
+ * @param {string | null} beforeId
+ */
+export function moveBookmark(items, id, parentId, beforeId) {
+    const item = items.find(i => i.id === id);
+    if (!item || id === beforeId) return items;
+    if (parentId === id || (item.folder && parentId && descendantIds(items, id).has(parentId))) throw "a folder can't be moved into itself";
+    const rest = items.filter(i => i.id !== id);
+    const moved = { ...item, parentId };
+    let at = beforeId ? rest.findIndex(i => i.id === beforeId) : -1;
+    if (at === -1) {
+        // after the folder's last child, or at the very end for an empty folder
+        const siblings = rest.map((i, idx) => parentOf(i) === parentId ? idx : -1).filter(idx => idx !== -1);
+        at = siblings.length ? siblings[siblings.length - 1] + 1 : rest.length;
+    }
+    rest.splice(at, 0, moved);
+    return rest;
+}
+
+/* ---------- Netscape bookmark file format (what Chrome and Firefox import and export) ---------- */
+
+function escapeHtml(str) {
+    return String(str).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+function addDate(iso) {
+    const ms = Date.parse(iso);
+    return Number.isNaN(ms) ? "" : ` ADD_DATE="${Math.floor(ms / 1000)}"`;
+}
+
+export function exportNetscape(items) {
+    const lines = [
+        "<!DOCTYPE NETSCAPE-Bookmark-file-1>",
+        "<!-- This is an automatically generated file.",
+        "     It will be read and overwritten.",
+        "     DO NOT EDIT! -->",
+        '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+        "<TITLE>Bookmarks</TITLE>",
+        "<H1>Bookmarks</H1>"
+    ];
+    const writeList = (parentId, indent) => {
+        lines.push(indent + "<DL><p>");
+        for (const item of childrenOf(items, parentId)) {
+            if (item.folder) {
+                lines.push(`${indent}    <DT><H3${addDate(item.createdOn)}>${escapeHtml(item.title)}</H3>`);
+                writeList(item.id, indent + "    ");
+            } else {
+                lines.push(`${indent}    <DT><A HREF="${escapeHtml(item.url)}"${addDate(item.createdOn)}>${escapeHtml(item.title || item.url)}</A>`);
+            }
+        }
+        lines.push(indent + "</DL><p>");
+    };
+    writeList(null, "");
+    return lines.join("\n") + "\n";
+}
+
+/**
+ * Reads a Netscape bookmark file that has been parsed as HTML (DOMParser). Returns new entries with
+ * fresh IDs, placed under `parentId`; links without an http(s) URL are skipped.
+ * @param {Document} doc
+ * @param {string | null} parentId
+ */
+export function parseNetscape(doc, parentId) {
+    const out = [];
+    const createdOn = (el) => {
+        const secs = parseInt(el.getAttribute("add_date"), 10);
+        return new Date(Number.isNaN(secs) ? Date.now() : secs * 1000).toISOString();
+    };
+    const readList = (dl, parent) => {
+        for (const dt of dl.querySelectorAll("dt")) {
+            // only this list's own entries; nested lists are read by the recursion
+            if (dt.closest("dl") !== dl) continue;
+            const heading = dt.querySelector(":scope > h3");
+            const link = dt.querySelector(":scope > a");
+            if (heading) {
+                const folder = { id: newBookmarkId(), folder: true, title: heading.textContent.trim() || "Folder", createdOn: createdOn(heading), parentId: parent };
+                out.push(folder);
+                // browsers nest the folder's <DL> inside its <DT>; hand-written files often put it after
+                let sub = dt.querySelector(":scope > dl");
+                if (!sub && dt.nextElementSibling && dt.nextElementSibling.tagName === "DL") sub = dt.nextElementSibling;
+                if (sub) readList(sub, folder.id);
+            } else if (link && /^https?:\/\//i.test(link.getAttribute("href") || "")) {
+                const url = link.getAttribute("href");
+                out.push({ id: newBookmarkId(), url, title: link.textContent.trim() || url, createdOn: createdOn(link), parentId: parent });
+            }
+        }
+    };
+    const root = doc.querySelector("dl");
+    if (!root) throw "not a bookmarks file";
+    readList(root, parentId);
+    return out;
+}
@@ -0,0 +1,122 @@
+// horizon://chat's connection to the server's /chat WebSocket (src/chat.js describes the messages). The client
+// stays in its room when the connection drops: it connects again after a growing pause and joins again, and
+// the server's "joined" answer brings the history that was missed.
+
+export const DEFAULT_ROOM = "lobby";
+
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 30 * 1000;
+
+export default class ChatClient {
+    /**
+     * @param {() => string} url the socket URL, asked for on every connection (the password may have changed)
+     * @param {object} handlers
+     * @param {(message: object) => void} handlers.onMessage every message from the server
+     * @param {(status: "connecting" | "open" | "waiting" | "closed", retryAt?: number) => void} handlers.onStatus
+     *   "open" once the room is joined; "waiting" until the next attempt at `retryAt`
+     */
+    constructor(url, { onMessage, onStatus }) {
+        this.url = url;
+        this.onMessage = onMessage;
+        this.onStatus = onStatus;
+        this.room = DEFAULT_ROOM;
+        this.nick = "";
+        this.socket = null;
+        this.timer = null;
+        this.attempts = 0;
+        this.status = "closed";
+        this.stopped = false;
+    }
+
+    /** Enters a room, connecting first if needed. */
+    join(room, nick) {
+        this.room = room;
+        this.nick = nick;
+        if (this.socket && this.socket.readyState === WebSocket.OPEN) this.sendJoin();
+        else if (!this.socket) this.connect();
+    }
+
+    /** @returns {boolean} false when not connected; the text was not sent */
+    say(text) {
+        if (this.status !== "open") return false;
+        this.socket.send(JSON.stringify({ type: "message", text }));
+        return true;
+    }
+
+    rename(nick) {
+        this.nick = nick;
+        if (this.status === "open") this.socket.send(JSON.stringify({ type: "nick", nick }));
+    }
+
+    /** Skips the rest of the pause before the next attempt, e.g. when the browser is back online. */
+    reconnectNow() {
+        if (this.stopped || this.socket) return;
+        this.attempts = 0;
+        this.connect();
+    }
+
+    close() {
+        this.stopped = true;
+        clearTimeout(this.timer);
+        const socket = this.socket;
+        this.socket = null;
+        if (socket) socket.close();
+        this.setStatus("closed");
+    }
+
+    connect() {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.stopped) return;
+        this.setStatus("connecting");
+        let socket;
+        try {
+            socket = new WebSocket(this.url());
+        } catch (e) {
+            this.retry();
+            return;
+        }
+        this.socket = socket;
+        socket.onopen = () => this.sendJoin();
+        socket.onmessage = (e) => {
+            let message;
+            try {
+                message = JSON.parse(e.data);
+            } catch (err) {
+                return;
+            }
+            if (message.type === "joined") {
+                this.attempts = 0;
+                this.nick = message.nick;
+                this.setStatus("open");
+            } else if (message.type === "presence" && message.event === "nick" && message.previous === this.nick) {
+                this.nick = message.nick;
+            }
+            this.onMessage(message);
+        };
+        // an error is always followed by close
+        socket.onclose = () => {
+            if (this.socket !== socket) return;
+            this.socket = null;
+            this.retry();
+        };
+    }
+
+    sendJoin() {
+        this.socket.send(JSON.stringify({ type: "join", room: this.room, nick: this.nick }));
+    }
+
+    // Waits 1, 2, 4 ... 30 seconds, with some jitter so clients dropped together don't all return at once
+    retry() {
+        if (this.stopped) return;
+        const delay = Math.min(RECONNECT_MAX_MS, RECONNECT_MIN_MS * 2 ** this.attempts) * (0.75 + Math.random() / 4);
+        this.attempts++;
+        this.timer = setTimeout(() => this.connect(), delay);
+        this.setStatus("waiting", Date.now() + delay);
+    }
+
+    setStatus(status, retryAt) {
+        this.status = status;
+        this.onStatus(status, retryAt);
+    }
+}
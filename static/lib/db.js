@@ -0,0 +1,194 @@
+// Client persistence in IndexedDB. The page keeps everything in memory (the `state` object) and this
+// store mirrors it: small values are single records in "kv", history and bookmarks are one record per
+// entry so a visit or an edit writes only what changed.
+
+const DB_NAME = "horizon";
+
+// localStorage keys that older versions used for whole collections; every other horizon_* key becomes a kv record
+const LEGACY_COLLECTIONS = { horizon_history: "history", horizon_bookmarks: "bookmarks" };
+const LEGACY_PREFIX = "horizon_";
+
+// One function per schema version, run in order inside the upgrade transaction. Never edit a shipped
+// entry; add a new one, and DB_VERSION follows.
+const MIGRATIONS = [
+    // 1: object stores, plus whatever was in localStorage
+    (db, tx) => {
+        db.createObjectStore("kv");
+        db.createObjectStore("history", { keyPath: "id" }).createIndex("ts", "ts");
+        db.createObjectStore("bookmarks", { keyPath: "id" });
+        for (const [key, value] of legacyEntries()) {
+            const collection = LEGACY_COLLECTIONS[key];
+            if (!collection) {
+                tx.objectStore("kv").put(value, key);
+            } else if (Array.isArray(value)) {
+                // bookmark order was array order; history is ordered by timestamp anyway
+                value.forEach((item, position) => tx.objectStore(collection).put(collection === "bookmarks" ? { ...item, position } : item));
+            }
+        }
+    }
+];
+const DB_VERSION = MIGRATIONS.length;
+
+function legacyEntries() {
+    const entries = [];
+    for (let i = 0; i < localStorage.length; i++) {
+        const key = localStorage.key(i);
+        if (!key.startsWith(LEGACY_PREFIX)) continue;
+        try {
+            entries.push([key, JSON.parse(localStorage.getItem(key))]);
+        } catch (e) {
+            // unreadable leftovers are dropped, like loadStorage used to
+        }
+    }
+    return entries;
+}
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+export function isQuotaError(err) {
+    return !!err && (err.name === "QuotaExceededError" || err.code === 22);
+}
+
+export default class Store {
+    /**
+     * @param {(err: Error) => void} onError called for every failed write; nothing is thrown at the caller
+     */
+    constructor(onError = console.error) {
+        this.db = null;
+        this.onError = onError;
+        this.migrated = false;
+        // per ordered collection: id -> serialized record as last written, to find what changed
+        this.snapshots = new Map();
+    }
+
+    open() {
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = (event) => {
+                for (let v = event.oldVersion; v < DB_VERSION; v++) MIGRATIONS[v](request.result, request.transaction);
+                if (event.oldVersion === 0) this.migrated = true;
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                // another window upgrading the schema needs this one out of the way
+                this.db.onversionchange = () => this.db.close();
+                if (this.migrated) {
+                    // only once the upgrade has committed, so a failed migration loses nothing
+                    legacyEntries().forEach(([key]) => localStorage.removeItem(key));
+                }
+                resolve();
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error("database upgrade blocked by another open window"));
+        });
+    }
+
+    /**
+     * Everything stored. Without a database (open() failed) this is whatever localStorage still holds, so the
+     * page keeps working with its old data for the session.
+     * @returns {Promise<{ kv: Object<string, any>, history: Array<object>, bookmarks: Array<object> }>}
+     */
+    async load() {
+        if (!this.db) {
+            const data = { kv: {}, history: [], bookmarks: [] };
+            for (const [key, value] of legacyEntries()) {
+                if (LEGACY_COLLECTIONS[key]) data[LEGACY_COLLECTIONS[key]] = Array.isArray(value) ? value : [];
+                else data.kv[key] = value;
+            }
+            return data;
+        }
+        const tx = this.db.transaction(["kv", "history", "bookmarks"], "readonly");
+        const kv = tx.objectStore("kv");
+        const [keys, values, history, bookmarks] = await Promise.all([
+            promisify(kv.getAllKeys()),
+            promisify(kv.getAll()),
+            promisify(tx.objectStore("history").getAll()),
+            promisify(tx.objectStore("bookmarks").getAll())
+        ]);
+        const data = { kv: {}, history, bookmarks: [] };
+        keys.forEach((key, i) => { data.kv[key] = values[i]; });
+        // ISO timestamps sort as strings; newest first
+        history.sort((a, b) => (a.ts < b.ts ? 1 : a.ts > b.ts ? -1 : 0));
+        bookmarks.sort((a, b) => a.position - b.position);
+        data.bookmarks = bookmarks.map(({ position, ...item }) => item);
+        this.markSynced("bookmarks", data.bookmarks);
+        return data;
+    }
+
+    // Runs fn(objectStore) in one readwrite transaction; resolves when it commits, reports failures to onError
+    write(storeName, fn) {
+        if (!this.db) return Promise.resolve();
+        return new Promise((resolve) => {
+            let tx;
+            try {
+                tx = this.db.transaction(storeName, "readwrite");
+                fn(tx.objectStore(storeName));
+            } catch (err) {
+                this.onError(err);
+                resolve();
+                return;
+            }
+            tx.oncomplete = () => resolve();
+            tx.onabort = () => {
+                this.onError(tx.error || new Error("transaction aborted"));
+                resolve();
+            };
+        });
+    }
+
+    put(key, value) {
+        return this.write("kv", store => store.put(value, key));
+    }
+
+    remove(key) {
+        return this.write("kv", store => store.delete(key));
+    }
+
+    addRecords(storeName, records) {
+        return this.write(storeName, store => records.forEach(record => store.put(record)));
+    }
+
+    deleteRecords(storeName, ids) {
+        if (!ids.length) return Promise.resolve();
+        return this.write(storeName, store => ids.forEach(id => store.delete(id)));
+    }
+
+    clear(storeName) {
+        this.snapshots.delete(storeName);
+        return this.write(storeName, store => store.clear());
+    }
+
+    // Another window already wrote this list; remember it as stored so the next sync only writes later changes
+    markSynced(storeName, items) {
+        this.snapshots.set(storeName, new Map(items.map((item, position) => [item.id, JSON.stringify(item) + "@" + position])));
+    }
+
+    /**
+     * Stores an ordered list (bookmarks), writing only records that were added, edited or moved and
+     * deleting the ones that are gone.
+     * @param {string} storeName
+     * @param {Array<{ id: string }>} items
+     */
+    syncOrdered(storeName, items) {
+        const previous = this.snapshots.get(storeName) || new Map();
+        const next = new Map();
+        const changed = [];
+        items.forEach((item, position) => {
+            const serialized = JSON.stringify(item) + "@" + position;
+            next.set(item.id, serialized);
+            if (previous.get(item.id) !== serialized) changed.push({ ...item, position });
+        });
+        const removed = [...previous.keys()].filter(id => !next.has(id));
+        this.snapshots.set(storeName, next);
+        if (!changed.length && !removed.length) return Promise.resolve();
+        return this.write(storeName, store => {
+            changed.forEach(record => store.put(record));
+            removed.forEach(id => store.delete(id));
+        });
+    }
+}
@@ -0,0 +1,75 @@
+// Shapes the visit list (newest first, one entry per visit) for the history page: day headers,
+// repeated visits merged into one row, and the time ranges the page can clear.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const CLEAR_RANGES = [
+    { id: "hour", label: "Last hour" },
+    { id: "today", label: "Today" },
+    { id: "all", label: "All time" }
+];
+
+/** Timestamp (ms) from which a range reaches up to now. */
+export function rangeStart(range, now = new Date()) {
+    if (range === "hour") return now.getTime() - HOUR_MS;
+    if (range === "today") return new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+    return 0;
+}
+
+export function hostOf(url) {
+    try {
+        return new URL(url).hostname;
+    } catch (e) {
+        return "";
+    }
+}
+
+function dayKey(date) {
+    return date.getFullYear() + "-" + (date.getMonth() + 1) + "-" + date.getDate();
+}
+
+function dayLabel(date, now) {
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const days = Math.round((today - new Date(date.getFullYear(), date.getMonth(), date.getDate())) / (24 * HOUR_MS));
+    const full = date.toLocaleDateString(undefined, { weekday: "long", year: "numeric", month: "long", day: "numeric" });
+    if (days === 0) return "Today — " + full;
+    if (days === 1) return "Yesterday — " + full;
+    return full;
+}
+
+/**
+ * Rows for the history page: a "day" row before each day's visits, then one "entry" row per page and
+ * day, carrying the newest visit's title and time, the number of visits and the IDs of all of them.
+ * Only visits whose title or URL contain every word of `query` are included.
+ * @param {Array<{ id: string, url: string, title: string, ts: string }>} history newest first
+ * @param {string} query
+ */
+export function historyRows(history, query, now = new Date()) {
+    const words = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+    const rows = [];
+    let currentDay = null;
+    let byUrl = null;
+    for (const visit of history) {
+        if (words.length) {
+            const haystack = ((visit.title || "") + " " + visit.url).toLowerCase();
+            if (!words.every(w => haystack.includes(w))) continue;
+        }
+        const date = new Date(visit.ts);
+        const key = dayKey(date);
+        if (key !== currentDay) {
+            currentDay = key;
+            byUrl = new Map();
+            rows.push({ type: "day", key, label: dayLabel(date, now) });
+        }
+        const existing = byUrl.get(visit.url);
+        if (existing) {
+            existing.visits++;
+            existing.ids.push(visit.id);
+            continue;
+        }
+        const row = { type: "entry", url: visit.url, title: visit.title || visit.url, ts: visit.ts, visits: 1, ids: [visit.id] };
+        byUrl.set(visit.url, row);
+        rows.push(row);
+    }
+    return rows;
+}
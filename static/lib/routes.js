@@ -0,0 +1,67 @@
+// Internal pages: "horizon://<name>[/<sub-path>][?<params>][#<hash>]". A page is registered under a name that
+// may itself have slashes ("tools/dns"); the longest registered name that a URI starts with wins, and the rest
+// of its path is handed to the page as the sub-path.
+
+const PREFIX = "horizon://";
+const NAME_PATTERN = /^[a-z0-9][a-z0-9-]*(\/[a-z0-9][a-z0-9-]*)*$/;
+
+/**
+ * Splits a horizon:// URI into its path, params and hash; null for anything else.
+ * @param {string} uri
+ * @returns {{ path: string, params: Object<string, string>, hash: string } | null}
+ */
+export function parseInternalUri(uri) {
+    if (typeof uri !== "string" || uri.slice(0, PREFIX.length).toLowerCase() !== PREFIX) return null;
+    let rest = uri.slice(PREFIX.length);
+    let hash = "";
+    const hashAt = rest.indexOf("#");
+    if (hashAt !== -1) {
+        hash = rest.slice(hashAt + 1);
+        rest = rest.slice(0, hashAt);
+    }
+    const queryAt = rest.indexOf("?");
+    const params = Object.fromEntries(new URLSearchParams(queryAt === -1 ? "" : rest.slice(queryAt + 1)));
+    const path = (queryAt === -1 ? rest : rest.slice(0, queryAt)).replace(/^\/+|\/+$/g, "");
+    return { path, params, hash };
+}
+
+export default class PageRouter {
+    constructor() {
+        this.pages = new Map(); // name -> { name, title, description, mount }
+    }
+
+    /**
+     * Adds a page; throws a message describing the problem, like the other validators in this client.
+     * @param {string} name lowercase letters, digits and dashes, in segments separated by slashes
+     * @param {{ title?: string, description?: string, mount: function }} page
+     */
+    register(name, page) {
+        if (typeof name !== "string" || !NAME_PATTERN.test(name)) throw "page name must be lowercase letters, digits and dashes, in segments separated by /";
+        if (this.pages.has(name)) throw `${PREFIX}${name} is already registered`;
+        if (!page || typeof page.mount !== "function") throw "a page needs a mount(element, route) function";
+        this.pages.set(name, { name, title: page.title || name, description: page.description || "", mount: page.mount });
+    }
+
+    /**
+     * Finds the page for a URI. `page` is null when no page is registered under it, and the whole result is
+     * null when the URI isn't a horizon:// one.
+     * @param {string} uri
+     * @returns {{ page: object | null, name: string, path: string, params: Object<string, string>, hash: string } | null}
+     */
+    match(uri) {
+        const parsed = parseInternalUri(uri);
+        if (!parsed) return null;
+        const segments = parsed.path.split("/");
+        for (let n = segments.length; n > 0; n--) {
+            const name = segments.slice(0, n).join("/").toLowerCase();
+            const page = this.pages.get(name);
+            if (page) return { page, name, path: segments.slice(n).join("/"), params: parsed.params, hash: parsed.hash };
+        }
+        return { page: null, name: parsed.path.toLowerCase(), path: "", params: parsed.params, hash: parsed.hash };
+    }
+
+    /** Every page, by name. */
+    list() {
+        return [...this.pages.values()].sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+    }
+}
@@ -0,0 +1,98 @@
+// Search engines and the omnibox's "is this a URL or a search?" decision.
+// Engine templates are URLs with "%s" where the encoded query goes.
+
+export const PRESET_ENGINES = [
+    { id: "google", name: "Google", keyword: "g", template: "https://www.google.com/search?q=%s" },
+    { id: "duckduckgo", name: "DuckDuckGo", keyword: "ddg", template: "https://duckduckgo.com/?q=%s" },
+    { id: "bing", name: "Bing", keyword: "b", template: "https://www.bing.com/search?q=%s" },
+    { id: "brave", name: "Brave Search", keyword: "br", template: "https://search.brave.com/search?q=%s" },
+    { id: "startpage", name: "Startpage", keyword: "sp", template: "https://www.startpage.com/do/search?q=%s" },
+    { id: "wikipedia", name: "Wikipedia", keyword: "w", template: "https://en.wikipedia.org/w/index.php?search=%s" },
+    { id: "youtube", name: "YouTube", keyword: "yt", template: "https://www.youtube.com/results?search_query=%s" },
+    { id: "github", name: "GitHub", keyword: "gh", template: "https://github.com/search?q=%s" }
+];
+
+const SCHEME = /^[a-zA-Z][a-zA-Z0-9+.-]*:\/\//;
+// schemes that are meaningful without "//"
+const OPAQUE_SCHEME = /^(about|data|blob):/i;
+const IPV4 = /^(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)(\.(25[0-5]|2[0-4]\d|1\d\d|[1-9]?\d)){3}$/;
+const IPV6 = /^\[[0-9a-fA-F:.]+\]$/;
+const LABEL = /^(?!-)[a-zA-Z0-9-]{1,63}(?<!-)$/;
+// a TLD is letters (or punycode); this is what keeps "1.5" or "v2.0" a search
+const TLD = /^([a-zA-Z]{2,63}|xn--[a-zA-Z0-9-]{1,59})$/;
+
+/**
+ * Turns what was typed into a URL when it looks like one, adding a scheme when missing.
+ * Handles full URLs, IPv4/IPv6 addresses, localhost and host:port, and dotted hostnames. Returns null for searches.
+ * @param {string} input trimmed omnibox text
+ * @returns {string | null}
+ */
+export function toUrl(input) {
+    if (SCHEME.test(input) || OPAQUE_SCHEME.test(input)) return input;
+    if (/\s/.test(input)) return null;
+
+    // split "host[:port][/path...]" without trusting URL() to guess
+    const match = /^([^/?#]+)([/?#].*)?$/.exec(input);
+    if (!match) return null;
+    const authority = match[1];
+    const hasPath = !!match[2];
+    const hostPort = /^(\[[^\]]+\]|[^:]+)(?::(\d{1,5}))?$/.exec(authority);
+    if (!hostPort) return null;
+    const host = hostPort[1];
+    const port = hostPort[2];
+    if (port !== undefined && Number(port) > 65535) return null;
+
+    // local and literal addresses rarely have certificates, so they default to http
+    if (host.toLowerCase() === "localhost" || IPV4.test(host) || IPV6.test(host)) return "http://" + input;
+
+    const labels = host.split(".");
+    if (labels.some(l => !LABEL.test(l))) return null;
+    if (labels.length >= 2 && TLD.test(labels[labels.length - 1])) return "https://" + input;
+    // a single word is a search unless it is clearly meant as a host: "intranet:8080", "intranet/"
+    if (labels.length === 1 && (port !== undefined || hasPath)) return "http://" + input;
+    return null;
+}
+
+export function searchUrl(engine, query) {
+    return engine.template.split("%s").join(encodeURIComponent(query));
+}
+
+/**
+ * Checks a custom engine; throws a message describing the first problem, like the other
+ * validators in this client.
+ * @param {{ name: string, keyword: string, template: string }} engine
+ * @param {Array<{ id: string, keyword: string }>} engines existing engines, for keyword clashes
+ */
+export function validateEngine(engine, engines) {
+    if (!engine.name || !engine.name.trim()) throw "name is required";
+    if (!/^[^\s]{1,16}$/.test(engine.keyword || "")) throw "keyword must be 1-16 characters without spaces";
+    const clash = engines.find(e => e.id !== engine.id && e.keyword.toLowerCase() === engine.keyword.toLowerCase());
+    if (clash) throw `keyword "${engine.keyword}" is already used by ${clash.name}`;
+    if (!(engine.template || "").includes("%s")) throw "URL template must contain %s where the search terms go";
+    let parsed;
+    try {
+        parsed = new URL(engine.template.split("%s").join("test"));
+    } catch (e) {
+        throw "URL template is not a valid URL";
+    }
+    if (parsed.protocol !== "https:" && parsed.protocol !== "http:") throw "URL template must start with http:// or https://";
+}
+
+/**
+ * Resolves omnibox input: "<keyword> <terms>" searches that engine, URL-like input becomes a URL,
+ * and anything else is searched with the default engine.
+ * @param {string} input
+ * @param {Array<{ id: string, keyword: string, template: string }>} engines
+ * @param {string} defaultId
+ */
+export function resolveInput(input, engines, defaultId) {
+    const keyword = /^(\S+)\s+(.+)$/.exec(input);
+    if (keyword) {
+        const engine = engines.find(e => e.keyword.toLowerCase() === keyword[1].toLowerCase());
+        if (engine) return searchUrl(engine, keyword[2]);
+    }
+    const url = toUrl(input);
+    if (url) return url;
+    const engine = engines.find(e => e.id === defaultId) || engines[0];
+    return searchUrl(engine, input);
+}
@@ -0,0 +1,106 @@
+// Omnibox suggestions. History is folded into one entry per URL when the index is built, so a
+// query only scans unique URLs; build it when the omnibox gains focus and query it on every keystroke.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const BOOKMARK_VISITS = 5; // a bookmark counts like this many visits
+
+// Recency buckets: a visit this many days old is worth this much
+const RECENCY = [
+    [4, 100],
+    [14, 70],
+    [31, 50],
+    [90, 30],
+    [Infinity, 10]
+];
+
+// "https://www.example.com/a" -> "example.com/a", what people actually type
+export function strippedUrl(url) {
+    return url.replace(/^[a-z][a-z0-9+.-]*:\/\//i, "").replace(/^www\./i, "");
+}
+
+function recencyWeight(ts, now) {
+    const days = (now - ts) / DAY_MS;
+    for (const [limit, weight] of RECENCY) {
+        if (days < limit) return weight;
+    }
+    return 0;
+}
+
+export class SuggestionIndex {
+    /**
+     * @param {Array<{ url: string, title: string, ts: string }>} history newest first
+     * @param {Array<{ url: string, title: string, folder?: boolean }>} bookmarks
+     */
+    constructor(history, bookmarks, now = Date.now()) {
+        const byUrl = new Map();
+        const entryFor = (url, title) => {
+            let entry = byUrl.get(url);
+            if (!entry) {
+                entry = { url, title: title || url, stripped: strippedUrl(url).toLowerCase(), visits: 0, frecency: 0, bookmarked: false };
+                entry.haystack = (entry.stripped + " " + entry.title.toLowerCase());
+                byUrl.set(url, entry);
+            }
+            return entry;
+        };
+        for (const h of history) {
+            // history is newest first, so the first title seen is the current one
+            const entry = entryFor(h.url, h.title);
+            entry.visits++;
+            entry.frecency += recencyWeight(Date.parse(h.ts) || 0, now);
+        }
+        for (const b of bookmarks) {
+            if (b.folder) continue;
+            const entry = entryFor(b.url, b.title);
+            entry.bookmarked = true;
+            entry.title = b.title || entry.title;
+            entry.haystack = entry.stripped + " " + entry.title.toLowerCase();
+            entry.frecency += BOOKMARK_VISITS * RECENCY[0][1];
+        }
+        this.entries = [...byUrl.values()];
+    }
+
+    /**
+     * Best matches for what was typed. Every word must appear in the URL or title; entries whose URL starts
+     * with the text (ignoring scheme and "www.") rank first and are the only ones offered for inline completion.
+     * @param {string} text
+     * @param {number} limit
+     * @returns {Array<{ url: string, title: string, bookmarked: boolean, prefix: boolean, score: number }>}
+     */
+    query(text, limit = 8) {
+        const typed = strippedUrl(text.trim()).toLowerCase();
+        const words = text.trim().toLowerCase().split(/\s+/).filter(Boolean);
+        if (!words.length) return [];
+        const boundaries = words.map(w => new RegExp("(^|[^a-z0-9])" + escapeRegExp(w)));
+        const results = [];
+        for (const entry of this.entries) {
+            if (!words.every(w => entry.haystack.includes(w))) continue;
+            const prefix = entry.stripped.startsWith(typed);
+            // matching at a word boundary ("git" in "docs.github.com") beats matching mid-word
+            const boundary = prefix || boundaries.every(re => re.test(entry.haystack));
+            const score = entry.frecency * (prefix ? 4 : boundary ? 2 : 1);
+            results.push({ url: entry.url, title: entry.title, bookmarked: entry.bookmarked, prefix, score });
+        }
+        results.sort((a, b) => b.score - a.score);
+        return results.slice(0, limit);
+    }
+}
+
+function escapeRegExp(str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * The text to complete inline: the rest of the suggestion's URL after what was typed, up to the end
+ * of the host when the user is still typing the host. "" when the suggestion doesn't extend the input.
+ * @param {string} typed what the user typed
+ * @param {string} url URL of the top suggestion
+ */
+export function inlineCompletion(typed, url) {
+    const stripped = strippedUrl(url);
+    if (!typed || /\s/.test(typed) || !stripped.toLowerCase().startsWith(typed.toLowerCase())) return "";
+    const rest = stripped.slice(typed.length);
+    // complete "git" to "github.com/", not to one particular page on it
+    const slash = stripped.indexOf("/");
+    if (slash !== -1 && typed.length <= slash) return stripped.slice(typed.length, slash + 1);
+    return rest;
+}
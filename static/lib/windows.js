@@ -0,0 +1,109 @@
+// Keeps the Horizon windows (browser tabs) of one browser in touch over a BroadcastChannel: who is open,
+// and the changes each one makes to shared data. Every message carries the sender's window ID in `from`,
+// and messages with a `to` are only for that window.
+
+const CHANNEL_NAME = "horizon";
+// sessionStorage survives reloads, so a reloaded window keeps its ID (and with it its tab set)
+const ID_KEY = "horizon_window_id";
+// how long a starting window listens for the others before deciding who is open
+const DISCOVERY_MS = 250;
+
+export function newWindowId() {
+    return "w" + Math.random().toString(36).slice(2, 10);
+}
+
+export default class WindowSync {
+    constructor() {
+        this.id = null;
+        this.peers = new Map(); // window ID -> what it last said about itself ({ tabs, title })
+        this.channel = typeof BroadcastChannel === "function" ? new BroadcastChannel(CHANNEL_NAME) : null;
+        this.handler = null;
+        this.waiters = new Set();
+        this.describe = () => ({});
+        this.idTaken = false;
+        this.started = false;
+    }
+
+    /**
+     * Picks this window's ID and finds the other open windows. A window opened with window.open() or
+     * duplicated starts with a copy of its opener's sessionStorage, so an ID another window answers to is replaced.
+     * @param {string | null} requestedId ID chosen by the window that opened this one, if any
+     * @param {() => object} describe what this window tells the others about itself
+     */
+    async start(requestedId, describe) {
+        this.describe = describe;
+        this.id = requestedId || sessionStorage.getItem(ID_KEY) || newWindowId();
+        if (this.channel) {
+            this.channel.onmessage = (event) => this.receive(event.data);
+            this.post({ type: "hello" });
+            await new Promise(resolve => setTimeout(resolve, DISCOVERY_MS));
+            if (this.idTaken) {
+                this.id = newWindowId();
+                this.post({ type: "hello" });
+            }
+            window.addEventListener("pagehide", () => this.post({ type: "bye" }));
+        }
+        sessionStorage.setItem(ID_KEY, this.id);
+        this.started = true;
+    }
+
+    /** Starts delivering messages from other windows; until then only presence is tracked. */
+    listen(handler) {
+        this.handler = handler;
+    }
+
+    post(message) {
+        if (!this.channel) return;
+        const presence = message.type === "hello" || message.type === "here" ? this.describe() : {};
+        this.channel.postMessage({ ...presence, ...message, from: this.id });
+    }
+
+    /** Tells the other windows that what describe() returns has changed. */
+    announce() {
+        this.post({ type: "here" });
+    }
+
+    /**
+     * Resolves with the first message matching `predicate`, or null after timeoutMs.
+     * @param {(message: object) => boolean} predicate
+     * @param {number} timeoutMs
+     */
+    waitFor(predicate, timeoutMs) {
+        return new Promise(resolve => {
+            const waiter = (message) => {
+                if (!predicate(message)) return false;
+                clearTimeout(timer);
+                resolve(message);
+                return true;
+            };
+            const timer = setTimeout(() => {
+                this.waiters.delete(waiter);
+                resolve(null);
+            }, timeoutMs);
+            this.waiters.add(waiter);
+        });
+    }
+
+    receive(message) {
+        if (!message || !message.from) return;
+        if (message.from === this.id) {
+            // a copy of this window is starting up: answer so it picks another ID
+            if (this.started && message.type === "hello") this.post({ type: "here" });
+            // someone else answers to our ID while we start: we are the copy
+            else if (!this.started) this.idTaken = true;
+            return;
+        }
+        if (message.to && message.to !== this.id) return;
+        if (message.type === "hello" || message.type === "here") {
+            const { type, from, ...info } = message;
+            this.peers.set(from, info);
+            if (type === "hello") this.post({ type: "here" });
+        } else if (message.type === "bye") {
+            this.peers.delete(message.from);
+        }
+        for (const waiter of this.waiters) {
+            if (waiter(message)) this.waiters.delete(waiter);
+        }
+        if (this.handler && !["hello", "here", "bye"].includes(message.type)) this.handler(message);
+    }
+}
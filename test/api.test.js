@@ -0,0 +1,166 @@
+import { test, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import Api, { BAD_PASSWORD } from "../static/lib/api.js";
+
+// Answers fetch() from a table of path -> { status, body }; records every requested URL
+let routes;
+let requested;
+const realFetch = globalThis.fetch;
+
+beforeEach(() => {
+	routes = {};
+	requested = [];
+	globalThis.fetch = async (url) => {
+		requested.push(url);
+		const path = url.split("?")[0];
+		const { status = 200, body = "" } = routes[path] || { status: 404, body: "Not Found" };
+		return { ok: status >= 200 && status < 300, status, text: async () => body };
+	};
+});
+
+afterEach(() => {
+	globalThis.fetch = realFetch;
+});
+
+function rejectsWith(promise, message) {
+	return assert.rejects(promise, (err) => err === message);
+}
+
+test("needpassword reads the server's flag", async () => {
+	const api = new Api();
+	routes["/needpassword"] = { body: "true" };
+	assert.equal(await api.needpassword(), true);
+	routes["/needpassword"] = { body: "false" };
+	assert.equal(await api.needpassword(), false);
+});
+
+test("newsession returns the ID", async () => {
+	routes["/newsession"] = { body: "0123456789abcdef0123456789abcdef" };
+	assert.equal(await new Api().newsession(), "0123456789abcdef0123456789abcdef");
+});
+
+test("sessionexists", async (t) => {
+	const api = new Api();
+
+	await t.test("knows both answers", async () => {
+		routes["/sessionexists"] = { body: "exists" };
+		assert.equal(await api.sessionexists("abc"), true);
+		routes["/sessionexists"] = { body: "not found" };
+		assert.equal(await api.sessionexists("abc"), false);
+		assert.equal(requested.at(-1), "/sessionexists?id=abc");
+	});
+
+	await t.test("throws on anything else", async () => {
+		routes["/sessionexists"] = { body: "maybe" };
+		await rejectsWith(api.sessionexists("abc"), "unexpected response from server. received maybe");
+	});
+
+	await t.test("encodes the ID", async () => {
+		routes["/sessionexists"] = { body: "exists" };
+		await api.sessionexists("a b&c");
+		assert.equal(requested.at(-1), "/sessionexists?id=a%20b%26c");
+	});
+});
+
+test("editsession sends the proxy only when set", async () => {
+	const api = new Api();
+	routes["/editsession"] = { body: "Success" };
+	await api.editsession("abc", "http://proxy:3128", true);
+	assert.equal(requested.at(-1), "/editsession?id=abc&httpProxy=http%3A%2F%2Fproxy%3A3128&enableShuffling=1");
+	await api.editsession("abc", "", false);
+	assert.equal(requested.at(-1), "/editsession?id=abc&enableShuffling=0");
+	routes["/editsession"] = { body: "nope" };
+	await rejectsWith(api.editsession("abc", "", false), "unexpected response from server. received nope");
+});
+
+test("deletesession only deletes sessions that exist", async () => {
+	const api = new Api();
+	routes["/sessionexists"] = { body: "not found" };
+	await api.deletesession("abc");
+	assert.deepEqual(requested, ["/sessionexists?id=abc"]);
+
+	routes["/sessionexists"] = { body: "exists" };
+	routes["/deletesession"] = { body: "Success" };
+	await api.deletesession("abc");
+	assert.equal(requested.at(-1), "/deletesession?id=abc");
+
+	routes["/deletesession"] = { body: "locked" };
+	await rejectsWith(api.deletesession("abc"), "unexpected response from server. received locked");
+});
+
+test("shuffleDict parses JSON", async () => {
+	const api = new Api();
+	routes["/api/shuffleDict"] = { body: '"abc"' };
+	assert.equal(await api.shuffleDict("s"), "abc");
+	routes["/api/shuffleDict"] = { body: "null" };
+	assert.equal(await api.shuffleDict("s"), null);
+});
+
+test("password handling", async (t) => {
+	const api = new Api();
+
+	// beforeEach also runs for subtests, so each one sets up its routes
+	await t.test("no pwd parameter without a password", async () => {
+		routes["/newsession"] = { body: "id" };
+		await api.newsession();
+		assert.equal(requested.at(-1), "/newsession");
+	});
+
+	await t.test("added as the first or a further query parameter, encoded", async () => {
+		routes["/newsession"] = { body: "id" };
+		routes["/sessionexists"] = { body: "exists" };
+		api.setPassword("p&ss word");
+		await api.newsession();
+		assert.equal(requested.at(-1), "/newsession?pwd=p%26ss%20word");
+		await api.sessionexists("abc");
+		assert.equal(requested.at(-1), "/sessionexists?id=abc&pwd=p%26ss%20word");
+	});
+
+	await t.test("cleared again", async () => {
+		routes["/newsession"] = { body: "id" };
+		api.setPassword(null);
+		await api.newsession();
+		assert.equal(requested.at(-1), "/newsession");
+	});
+
+	await t.test("a 403 becomes BAD_PASSWORD", async () => {
+		routes["/newsession"] = { status: 403, body: "bad password" };
+		await rejectsWith(api.newsession(), BAD_PASSWORD);
+	});
+});
+
+test("get error strings", async (t) => {
+	const api = new Api();
+
+	await t.test("other failures can't reach the server", async () => {
+		routes["/newsession"] = { status: 500, body: "boom" };
+		await rejectsWith(api.newsession(), "Cannot communicate with the server");
+		await rejectsWith(api.get("/missing"), "Cannot communicate with the server");
+	});
+
+	await t.test("a success other than 200 quotes the body", async () => {
+		routes["/newsession"] = { status: 204, body: "" };
+		await rejectsWith(api.newsession(), 'unexpected server response to not match "200". Server says """"');
+	});
+
+	await t.test("shush swallows errors", async () => {
+		routes["/newsession"] = { status: 500, body: "boom" };
+		assert.equal(await api.get("/newsession", true), undefined);
+		routes["/newsession"] = { status: 204, body: "" };
+		assert.equal(await api.get("/newsession", true), undefined);
+	});
+
+	await t.test("network errors propagate", async () => {
+		globalThis.fetch = async () => {
+			throw new TypeError("fetch failed");
+		};
+		await assert.rejects(api.needpassword(), TypeError);
+	});
+});
+
+test("socketUrl points at this server over ws or wss, with the password", () => {
+	const api = new Api();
+	assert.equal(api.socketUrl("/chat", "http://localhost:8080/index.html"), "ws://localhost:8080/chat");
+	api.setPassword("p w");
+	assert.equal(api.socketUrl("/chat", "https://horizon.example/"), "wss://horizon.example/chat?pwd=p+w");
+});
@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+import { SessionOwners, affinityKey, createWorkerRouting, slotFor } from "../src/cluster.js";
+
+const SESSION = "0123456789abcdef0123456789abcdef";
+const OTHER = "ffffffffffffffffffffffffffffffff";
+
+// A worker's IPC channel: what it sends is recorded, the primary's messages are emitted by the test
+function fakeChannel() {
+	const channel = new EventEmitter();
+	channel.sent = [];
+	channel.send = (msg) => channel.sent.push(msg);
+	return channel;
+}
+
+function requestFor(url) {
+	return { url, socket: {} };
+}
+
+test("affinityKey finds the session in paths and session API parameters", () => {
+	assert.equal(affinityKey(`/${SESSION}/https://example.com/`), SESSION);
+	assert.equal(affinityKey(`/sessionexists?id=${SESSION}`), SESSION);
+	assert.equal(affinityKey("/chat?pwd=x"), "chat");
+	assert.equal(affinityKey("/newsession"), null);
+	assert.equal(affinityKey("/"), null);
+});
+
+test("sessions live where they were created, others where slotFor puts them", () => {
+	const owners = new SessionOwners(4);
+	assert.equal(owners.slotOf(SESSION), slotFor(SESSION, 4));
+	const elsewhere = (slotFor(SESSION, 4) + 1) % 4;
+	owners.set(SESSION, elsewhere);
+	assert.equal(owners.slotOf(SESSION), elsewhere);
+	assert.equal(owners.slotOf(OTHER), slotFor(OTHER, 4));
+});
+
+test("a worker claims the sessions it creates through the primary", async () => {
+	const channel = fakeChannel();
+	// a session slotFor() gives to another worker
+	const mine = (slotFor(SESSION, 2) + 1) % 2;
+	const routing = createWorkerRouting(mine, 2, channel);
+	assert.equal(routing.misrouted(requestFor(`/${SESSION}/https://example.com/`)), true);
+
+	let claimed = false;
+	const claim = routing.sessionCreated(SESSION).then(() => (claimed = true));
+	assert.deepEqual(channel.sent, [{ type: "horizon:session", id: SESSION }]);
+	await new Promise((resolve) => setImmediate(resolve));
+	assert.equal(claimed, false, "waits for the primary");
+
+	channel.emit("message", { type: "horizon:owner", id: SESSION, slot: mine });
+	await claim;
+	assert.equal(routing.misrouted(requestFor(`/${SESSION}/https://example.com/`)), false);
+	assert.equal(routing.misrouted(requestFor(`/sessionexists?id=${SESSION}`)), false);
+});
+
+test("a worker takes the primary's whole table when it starts", () => {
+	const channel = fakeChannel();
+	const routing = createWorkerRouting(0, 2, channel);
+	const slot = slotFor(OTHER, 2);
+	channel.emit("message", { type: "horizon:owners", entries: [[OTHER, 1 - slot]] });
+	assert.equal(routing.misrouted(requestFor(`/${OTHER}/https://example.com/`)), 1 - slot !== 0);
+	assert.equal(routing.misrouted({ url: `/${OTHER}/`, socket: { horizonFallback: true } }), false, "stand-ins keep what they get");
+	assert.equal(routing.misrouted(requestFor("/newsession")), false);
+});
@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { loadConfig, ConfigError } from "../src/config.js";
+
+// A directory removed after the test
+function tempDir(t) {
+	const dir = mkdtempSync(join(tmpdir(), "horizon-config-"));
+	t.after(() => rmSync(dir, { recursive: true, force: true }));
+	return dir;
+}
+
+// Resolves to the problems loadConfig() reports, or [] when the config is valid
+async function problemsOf(argv, env = {}) {
+	try {
+		await loadConfig(argv, env);
+		return [];
+	} catch (err) {
+		if (!(err instanceof ConfigError)) throw err;
+		return err.problems;
+	}
+}
+
+test("metrics are off by default and need a token", async () => {
+	assert.equal((await loadConfig([], {})).monitoring.metrics, false);
+	assert.deepEqual(await problemsOf([], { HORIZON_METRICS: "true" }), ["monitoring.metrics needs monitoring.token"]);
+	const config = await loadConfig([], { HORIZON_METRICS: "true", HORIZON_MONITORING_TOKEN: "secret" });
+	assert.equal(config.monitoring.metrics, true);
+});
+
+test("metrics need a single process", async () => {
+	const metrics = { HORIZON_METRICS: "true", HORIZON_MONITORING_TOKEN: "secret" };
+	const problem = "monitoring.metrics needs a single process: turn the metrics off or set cluster.workers to 0 or 1";
+
+	assert.deepEqual(await problemsOf(["--workers", "2"], metrics), [problem]);
+	assert.deepEqual(await problemsOf(["--workers", "1"], metrics), []);
+	assert.deepEqual(await problemsOf(["--workers", "2"]), []);
+});
+
+test("the chat can't be split across HTTPS workers", async (t) => {
+	const dir = tempDir(t);
+	// only read, never parsed, during validation
+	writeFileSync(join(dir, "cert.pem"), "cert");
+	writeFileSync(join(dir, "key.pem"), "key");
+	const tls = ["--tls-cert", join(dir, "cert.pem"), "--tls-key", join(dir, "key.pem")];
+	const problem = "chat.enabled needs a single process over HTTPS: turn the chat off or set cluster.workers to 0 or 1";
+
+	assert.deepEqual(await problemsOf([...tls, "--workers", "2"]), [problem]);
+	assert.deepEqual(await problemsOf([...tls, "--workers", "2"], { HORIZON_CHAT: "false" }), []);
+	assert.deepEqual(await problemsOf([...tls, "--workers", "1"]), []);
+	// over plain HTTP the primary keeps every chat connection on one worker
+	assert.deepEqual(await problemsOf(["--workers", "2"]), []);
+});
+
+test("a password file wins over a password set directly", async (t) => {
+	const dir = tempDir(t);
+	writeFileSync(join(dir, "password.txt"), "from file\nignored\n");
+	writeFileSync(join(dir, "config.json"), JSON.stringify({ password: "from config" }));
+
+	assert.equal((await loadConfig(["--config", join(dir, "config.json")], {})).password, "from config");
+	const flag = await loadConfig(["--config", join(dir, "config.json"), "--password-file", join(dir, "password.txt")], { HORIZON_PASSWORD: "from env" });
+	assert.equal(flag.password, "from file");
+	const env = await loadConfig([], { HORIZON_PASSWORD: "from env", HORIZON_PASSWORD_FILE: join(dir, "password.txt") });
+	assert.equal(env.password, "from file");
+
+	writeFileSync(join(dir, "empty.txt"), "\n");
+	assert.deepEqual(await problemsOf(["--password-file", join(dir, "empty.txt")], { HORIZON_PASSWORD: "from env" }), [`password file ${join(dir, "empty.txt")} is empty`]);
+});
@@ -0,0 +1,150 @@
+import { readFileSync } from "node:fs";
+import { JSDOM } from "jsdom";
+
+/*
+  Runs static/script.js against static/index.html in jsdom. jsdom doesn't execute module scripts, so the
+  page's globals are installed into this process and the script is imported here instead; one page per
+  test file. The server is a table of fake answers to the page's fetch() calls, plus a stand-in for its WebSockets.
+*/
+
+export const SESSION = "0123456789abcdef0123456789abcdef";
+export const SHUFFLE_DICT = "zyxwvutsrqponmlkjihgfedcbaZYXWVUTSRQPONMLKJIHGFEDCBA9876543210-~";
+
+// Globals Node already has in some form, but script.js needs the page's version of. Timers stay Node's
+// (jsdom's own are built on them)
+const PAGE_GLOBALS = ["window", "document", "navigator", "location", "history", "Event", "CustomEvent"];
+
+export function fakeServer(overrides = {}) {
+	const server = {
+		requests: [],
+		sessions: new Set(),
+		// every WebSocket the page opened; the test plays the server side with open(), receive() and drop()
+		sockets: [],
+		routes: {
+			"/needpassword": () => "false",
+			"/newsession": () => {
+				server.sessions.add(SESSION);
+				return SESSION;
+			},
+			"/sessionexists": (params) => (server.sessions.has(params.get("id")) ? "exists" : "not found"),
+			"/editsession": () => "Success",
+			"/deletesession": () => "Success",
+			"/api/shuffleDict": () => JSON.stringify(SHUFFLE_DICT),
+			...overrides
+		},
+		async fetch(url) {
+			server.requests.push(url);
+			const parsed = new URL(url, "http://localhost:8080/");
+			const route = server.routes[parsed.pathname];
+			if (!route) return { ok: false, status: 404, text: async () => "Not Found" };
+			return { ok: true, status: 200, text: async () => route(parsed.searchParams) };
+		}
+	};
+	server.WebSocket = class FakeWebSocket {
+		static CONNECTING = 0;
+		static OPEN = 1;
+		static CLOSED = 3;
+
+		constructor(url) {
+			this.url = url;
+			this.readyState = FakeWebSocket.CONNECTING;
+			this.sent = [];
+			server.sockets.push(this);
+		}
+
+		send(data) {
+			this.sent.push(JSON.parse(data));
+		}
+
+		close() {
+			this.readyState = FakeWebSocket.CLOSED;
+		}
+
+		open() {
+			this.readyState = FakeWebSocket.OPEN;
+			this.onopen();
+		}
+
+		receive(message) {
+			this.onmessage({ data: JSON.stringify(message) });
+		}
+
+		drop() {
+			this.readyState = FakeWebSocket.CLOSED;
+			this.onclose({ code: 1006 });
+		}
+	};
+	return server;
+}
+
+/**
+ * Loads the page and waits for init() to finish. Modules are cached, so call it once per test file.
+ * @returns {Promise<{ window: Window, document: Document, horizon: object, close: () => void }>}
+ */
+export async function loadHorizon(server = fakeServer()) {
+	const html = readFileSync(new URL("../static/index.html", import.meta.url), "utf8");
+	const dom = new JSDOM(html, { url: "http://localhost:8080/", pretendToBeVisual: true });
+	const { window } = dom;
+
+	for (const key of Object.getOwnPropertyNames(window)) {
+		if (key in globalThis && !PAGE_GLOBALS.includes(key)) continue;
+		Object.defineProperty(globalThis, key, { value: window[key], configurable: true, writable: true });
+	}
+	for (const key of PAGE_GLOBALS) {
+		Object.defineProperty(globalThis, key, { value: window[key], configurable: true, writable: true });
+	}
+	// the page's periodic sweeps must not keep the test process alive
+	const setNodeInterval = globalThis.setInterval;
+	globalThis.setInterval = (...args) => setNodeInterval(...args).unref();
+	// not in jsdom: no IndexedDB (the page falls back to memory), no other windows, no layout
+	globalThis.BroadcastChannel = undefined;
+	window.HTMLElement.prototype.scrollIntoView = function () {};
+	window.confirm = globalThis.confirm = () => true;
+	window.alert = globalThis.alert = () => {};
+	window.prompt = globalThis.prompt = () => null;
+	globalThis.fetch = window.fetch = server.fetch;
+	globalThis.WebSocket = window.WebSocket = server.WebSocket;
+
+	let loaded = false;
+	window.addEventListener("load", () => (loaded = true));
+	const status = window.document.getElementById("status");
+	status.textContent = "";
+	await import("../static/script.js");
+	// init() runs on load, which may have fired while the script was being imported
+	if (loaded) window.dispatchEvent(new window.Event("load"));
+	await until(() => status.textContent === "Ready");
+
+	return {
+		window,
+		document: window.document,
+		horizon: window.Horizon,
+		close: () => window.close()
+	};
+}
+
+/** Resolves once `condition()` is truthy; fails the test after timeoutMs. */
+export async function until(condition, timeoutMs = 2000) {
+	const start = Date.now();
+	while (!condition()) {
+		if (Date.now() - start > timeoutMs) throw new Error("timed out waiting for " + condition.toString());
+		await new Promise((resolve) => setTimeout(resolve, 5));
+	}
+}
+
+export function key(window, init) {
+	window.dispatchEvent(new window.KeyboardEvent("keydown", { bubbles: true, cancelable: true, ...init }));
+}
+
+export function click(window, el, init = {}) {
+	el.dispatchEvent(new window.MouseEvent(init.button === 1 ? "auxclick" : "click", { bubbles: true, cancelable: true, ...init }));
+}
+
+// jsdom doesn't fetch frames, so this stands in for the proxied page arriving: it gets a document with
+// the given title and body, and the frame fires load
+export function loadFrame(window, iframe, title, body = "") {
+	const doc = iframe.contentDocument;
+	doc.open();
+	doc.write(`<!DOCTYPE html><html><head><title>${title}</title></head><body>${body}</body></html>`);
+	doc.close();
+	iframe.dispatchEvent(new window.Event("load"));
+}
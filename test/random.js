@@ -0,0 +1,45 @@
+// Seeded generators for the property tests, so a failure names a seed that reproduces it
+
+// mulberry32
+export function rng(seed) {
+	let a = seed >>> 0;
+	return () => {
+		a = (a + 0x6d2b79f5) >>> 0;
+		let t = a;
+		t = Math.imul(t ^ (t >>> 15), t | 1);
+		t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+		return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+	};
+}
+
+export function pick(random, items) {
+	return items[Math.floor(random() * items.length)];
+}
+
+const DICT_CHARS = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz~-";
+const URL_PUNCTUATION = [":", "/", ".", "?", "&", "=", "#", "_", "+", "!", "@", " "];
+const NON_ASCII = ["é", "ü", "ß", "中", "文", "ж", "😀", "​", "\ud83d"];
+const HEX = "0123456789ABCDEFabcdef";
+
+/**
+ * A string mixing dictionary characters, URL punctuation, percent escapes (complete, cut short and
+ * malformed) and non-ASCII text, including lone surrogates.
+ */
+export function randomText(random, maxLength = 60) {
+	const length = Math.floor(random() * maxLength);
+	let out = "";
+	while (out.length < length) {
+		const kind = random();
+		if (kind < 0.55) out += pick(random, DICT_CHARS);
+		else if (kind < 0.7) out += pick(random, URL_PUNCTUATION);
+		else if (kind < 0.8) out += "%" + pick(random, HEX) + pick(random, HEX);
+		else if (kind < 0.85) out += "%" + (random() < 0.5 ? pick(random, HEX) : "");
+		else out += pick(random, NON_ASCII);
+	}
+	return out;
+}
+
+export function randomUrl(random) {
+	const host = Array.from({ length: 1 + Math.floor(random() * 3) }, () => randomText(random, 8).replace(/[^a-z0-9-]/gi, "") || "x").join(".");
+	return `${pick(random, ["http", "https"])}://${host}.${pick(random, ["com", "org", "jp"])}/${randomText(random, 40)}`;
+}
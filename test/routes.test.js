@@ -0,0 +1,53 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import PageRouter, { parseInternalUri } from "../static/lib/routes.js";
+
+const mount = () => {};
+
+test("parseInternalUri splits path, params and hash", () => {
+	assert.deepEqual(parseInternalUri("horizon://history?q=foo%20bar&x=1#top"), { path: "history", params: { q: "foo bar", x: "1" }, hash: "top" });
+	assert.deepEqual(parseInternalUri("horizon://tools/dns/"), { path: "tools/dns", params: {}, hash: "" });
+	assert.deepEqual(parseInternalUri("HORIZON://about"), { path: "about", params: {}, hash: "" });
+	assert.equal(parseInternalUri("https://example.com"), null);
+	assert.equal(parseInternalUri(undefined), null);
+});
+
+test("the longest registered name wins and the rest is the sub-path", () => {
+	const router = new PageRouter();
+	router.register("tools", { mount });
+	router.register("tools/dns", { title: "DNS", mount });
+	const dns = router.match("horizon://tools/dns/example.com/A?server=1.1.1.1");
+	assert.equal(dns.name, "tools/dns");
+	assert.equal(dns.page.title, "DNS");
+	assert.equal(dns.path, "example.com/A");
+	assert.deepEqual(dns.params, { server: "1.1.1.1" });
+	assert.equal(router.match("horizon://tools/other").name, "tools");
+	assert.equal(router.match("horizon://Tools/DNS").name, "tools/dns");
+});
+
+test("unknown pages match with no page, other URLs not at all", () => {
+	const router = new PageRouter();
+	router.register("history", { mount });
+	const unknown = router.match("horizon://nope/deeper?a=b");
+	assert.equal(unknown.page, null);
+	assert.equal(unknown.name, "nope/deeper");
+	assert.equal(router.match("horizon://historyx").page, null);
+	assert.equal(router.match("about:blank"), null);
+});
+
+test("register validates names and pages", () => {
+	const router = new PageRouter();
+	router.register("about", { mount });
+	assert.throws(() => router.register("about", { mount }), (e) => e === "horizon://about is already registered");
+	assert.throws(() => router.register("Bad Name", { mount }), (e) => typeof e === "string" && e.startsWith("page name"));
+	assert.throws(() => router.register("tools//x", { mount }), (e) => typeof e === "string");
+	assert.throws(() => router.register("tools", {}), (e) => e === "a page needs a mount(element, route) function");
+	assert.deepEqual(router.list().map((p) => p.name), ["about"]);
+});
+
+test("list() is sorted by name and fills in titles", () => {
+	const router = new PageRouter();
+	router.register("time", { mount });
+	router.register("about", { title: "About", description: "Every page", mount });
+	assert.deepEqual(router.list().map((p) => [p.name, p.title, p.description]), [["about", "About", "Every page"], ["time", "time", ""]]);
+});
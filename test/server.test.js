@@ -0,0 +1,533 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { EventEmitter } from "node:events";
+import { Duplex } from "node:stream";
+import { request } from "node:http";
+import { createHash, randomBytes } from "node:crypto";
+import { loadConfig } from "../src/config.js";
+import { createHorizonServer, classifyRoute, sessionOf, shouldRouteRh } from "../src/server.js";
+
+const SESSION = "0123456789abcdef0123456789abcdef";
+const METRICS_TOKEN = "metrics token";
+const silent = { log() {}, debug() {}, traffic() {}, info() {}, warn() {}, error() {} };
+
+// Stands in for rammerhead: answers every request with what it was asked (404 for sessions other than SESSION),
+// completes every upgrade
+function fakeRammerhead() {
+	const rh = new EventEmitter();
+	rh.upgrades = [];
+	rh.on("request", (req, res) => {
+		const session = sessionOf(new URL(req.url, "http://0.0.0.0").pathname);
+		if (session && session !== SESSION) res.statusCode = 404;
+		res.setHeader("Content-Type", "text/plain");
+		res.end("rh " + req.url);
+	});
+	rh.on("upgrade", (req, socket) => {
+		rh.upgrades.push(req.url);
+		socket.end("HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n\r\n");
+	});
+	return rh;
+}
+
+async function startServer({ chat = {}, monitoring = {}, rateLimit = {}, serverOptions = {}, ...overrides } = {}) {
+	const config = await loadConfig([], {});
+	Object.assign(config, { port: 0, host: "127.0.0.1", ...overrides });
+	Object.assign(config.chat, chat);
+	Object.assign(config.rateLimit, rateLimit);
+	Object.assign(config.monitoring, { metrics: true, token: METRICS_TOKEN }, monitoring);
+	const rh = fakeRammerhead();
+	const horizon = createHorizonServer(config, rh, { logger: silent, ...serverOptions });
+	await new Promise((resolve) => {
+		horizon.server.once("listening", resolve);
+		horizon.listen();
+	});
+	return { horizon, rh, port: horizon.server.address().port };
+}
+
+function get(port, path, headers = {}) {
+	return new Promise((resolve, reject) => {
+		request({ host: "127.0.0.1", port, path, agent: false, headers }, (res) => {
+			let body = "";
+			res.setEncoding("utf8");
+			res.on("data", (chunk) => (body += chunk));
+			res.on("end", () => resolve({ status: res.statusCode, headers: res.headers, body }));
+		}).on("error", reject).end();
+	});
+}
+
+function metrics(port) {
+	return get(port, "/metrics", { Authorization: "Bearer " + METRICS_TOKEN });
+}
+
+// "upgraded", "rejected" (connection closed without an answer) or the status of a plain HTTP answer
+function upgrade(port, path) {
+	return new Promise((resolve) => {
+		const req = request({ host: "127.0.0.1", port, path, agent: false, headers: { Connection: "Upgrade", Upgrade: "websocket" } });
+		req.on("upgrade", (res, socket) => {
+			socket.destroy();
+			resolve("upgraded");
+		});
+		req.on("response", (res) => {
+			res.resume();
+			resolve(res.statusCode);
+		});
+		req.on("error", () => resolve("rejected"));
+		req.on("close", () => resolve("rejected"));
+		req.end();
+	});
+}
+
+test("route classification", () => {
+	assert.equal(classifyRoute("/rammerhead.js"), "rammerhead");
+	assert.equal(classifyRoute("/newsession"), "rammerhead");
+	assert.equal(classifyRoute("/api/shuffleDict"), "rammerhead");
+	assert.equal(classifyRoute(`/${SESSION}/https://example.com/`), "session");
+	assert.equal(classifyRoute(`/${SESSION}`), "session");
+	assert.equal(classifyRoute("/"), "static");
+	assert.equal(classifyRoute("/script.js"), "static");
+	assert.equal(classifyRoute("/newsession/extra"), "static");
+	assert.equal(classifyRoute("/0123456789ABCDEF0123456789ABCDEF/x"), "static", "session IDs are lowercase");
+	assert.equal(sessionOf(`/${SESSION}/x`), SESSION);
+	assert.equal(sessionOf("/style.css"), null);
+});
+
+test("shouldRouteRh looks at the path only", () => {
+	assert.equal(shouldRouteRh({ url: "/newsession?pwd=x" }), true);
+	assert.equal(shouldRouteRh({ url: `/${SESSION}/https://example.com/?a=b` }), true);
+	assert.equal(shouldRouteRh({ url: "/index.html?/newsession" }), false);
+	assert.equal(shouldRouteRh({ url: "/" }), false);
+});
+
+test("HTTP routing", async (t) => {
+	const { horizon, port } = await startServer();
+	t.after(() => horizon.drain(1000));
+
+	await t.test("rammerhead endpoints and sessions go to rammerhead", async () => {
+		for (const path of ["/newsession", "/sessionexists?id=x", "/rammerhead.js", `/${SESSION}/https://example.com/`]) {
+			const res = await get(port, path);
+			assert.equal(res.status, 200, path);
+			assert.equal(res.body, "rh " + path);
+		}
+	});
+
+	await t.test("everything else is served from the static directory", async () => {
+		const index = await get(port, "/");
+		assert.equal(index.status, 200);
+		assert.match(index.headers["content-type"], /text\/html/);
+		assert.match(index.body, /<script src="script.js" type="module">/);
+		const lib = await get(port, "/lib/api.js");
+		assert.equal(lib.status, 200);
+		assert.match(lib.body, /export default class Api/);
+	});
+
+	await t.test("unknown static paths are 404, not rammerhead's", async () => {
+		const res = await get(port, "/no/such/file.js");
+		assert.equal(res.status, 404);
+		assert.doesNotMatch(res.body, /^rh /);
+	});
+
+	await t.test("needpassword is answered without a password set", async () => {
+		assert.equal((await get(port, "/needpassword")).body, "false");
+	});
+
+	await t.test("every response carries a request ID", async () => {
+		assert.ok((await get(port, "/")).headers["x-request-id"]);
+	});
+});
+
+test("a cluster worker reports the sessions it creates before answering", async (t) => {
+	let release;
+	const reported = [];
+	const sessionCreated = (id) => {
+		reported.push(id);
+		return new Promise((resolve) => (release = resolve));
+	};
+	const { horizon, rh, port } = await startServer({ serverOptions: { sessionCreated } });
+	t.after(() => horizon.drain(1000));
+	rh.removeAllListeners("request");
+	rh.on("request", (req, res) => res.end(req.url === "/newsession" ? SESSION : "not a session"));
+
+	let answered = false;
+	const created = get(port, "/newsession").then((res) => {
+		answered = true;
+		return res;
+	});
+	await new Promise((resolve) => setTimeout(resolve, 50));
+	assert.deepEqual(reported, [SESSION]);
+	assert.equal(answered, false);
+	release();
+	assert.equal((await created).body, SESSION);
+
+	assert.equal((await get(port, "/sessionexists?id=x")).body, "not a session");
+	assert.deepEqual(reported, [SESSION]);
+});
+
+test("password protection", async (t) => {
+	const { horizon, port } = await startServer({ password: "hunter2" });
+	t.after(() => horizon.drain(1000));
+
+	assert.equal((await get(port, "/needpassword")).body, "true");
+	const refused = await get(port, "/newsession");
+	assert.equal(refused.status, 403);
+	assert.equal(refused.body, "bad password");
+	assert.equal((await get(port, "/newsession?pwd=wrong")).status, 403);
+	assert.equal((await get(port, "/newsession?pwd=hunter2")).body, "rh /newsession?pwd=hunter2");
+	// proxied pages and static files don't need it
+	assert.equal((await get(port, `/${SESSION}/https://example.com/`)).status, 200);
+	assert.equal((await get(port, "/")).status, 200);
+});
+
+test("WebSocket upgrades", async (t) => {
+	const { horizon, rh, port } = await startServer();
+	t.after(() => horizon.drain(1000));
+
+	await t.test("proxied sessions and rammerhead's messaging are handed to rammerhead", async () => {
+		assert.equal(await upgrade(port, `/${SESSION}/wss://example.com/socket`), "upgraded");
+		assert.equal(await upgrade(port, "/messaging"), "upgraded");
+		assert.deepEqual(rh.upgrades, [`/${SESSION}/wss://example.com/socket`, "/messaging"]);
+	});
+
+	await t.test("upgrades for static paths are refused", async () => {
+		assert.equal(await upgrade(port, "/"), "rejected");
+		assert.equal(await upgrade(port, "/index.html"), "rejected");
+		assert.equal(rh.upgrades.length, 2);
+	});
+
+	await t.test("the chat answers itself and needs a real handshake", async () => {
+		assert.equal(await upgrade(port, "/chat"), 400);
+		assert.equal(rh.upgrades.length, 2);
+	});
+});
+
+// An upgrade handed straight to the server on a socket the test holds; emitting "error" on it is a client reset
+function fakeUpgrade(horizon, path, address = "203.0.113.1") {
+	const socket = new Duplex({ read() {}, write(chunk, encoding, done) { done(); } });
+	socket.remoteAddress = address;
+	const req = { url: path, method: "GET", headers: { connection: "Upgrade", upgrade: "websocket" }, socket };
+	horizon.server.emit("upgrade", req, socket, Buffer.alloc(0));
+	return socket;
+}
+
+test("refused upgrades survive a client resetting the connection", async (t) => {
+	const { horizon } = await startServer({ rateLimit: { requestBurst: 1 } });
+	t.after(() => horizon.drain(1000));
+
+	fakeUpgrade(horizon, `/${SESSION}/wss://example.com/`);
+	const limited = fakeUpgrade(horizon, `/${SESSION}/wss://example.com/`);
+	assert.doesNotThrow(() => limited.emit("error", new Error("read ECONNRESET")));
+	const refused = fakeUpgrade(horizon, "/index.html");
+	assert.doesNotThrow(() => refused.emit("error", new Error("read ECONNRESET")));
+});
+
+test("refused chat upgrades survive a client resetting the connection", async (t) => {
+	await t.test("without the password", async (t) => {
+		const { horizon } = await startServer({ password: "hunter2" });
+		t.after(() => horizon.drain(1000));
+		const socket = fakeUpgrade(horizon, "/chat");
+		assert.doesNotThrow(() => socket.emit("error", new Error("read ECONNRESET")));
+	});
+
+	await t.test("over the connection limit", async (t) => {
+		const { horizon, port } = await startServer({ chat: { maxConnectionsPerIp: 1 } });
+		t.after(() => horizon.drain(1000));
+		const client = await chatClient(port);
+		t.after(() => client.close());
+		const socket = fakeUpgrade(horizon, "/chat", "127.0.0.1");
+		assert.doesNotThrow(() => socket.emit("error", new Error("read ECONNRESET")));
+	});
+});
+
+test("monitoring", async (t) => {
+	const { horizon, port } = await startServer();
+	t.after(() => horizon.drain(1000));
+
+	await t.test("health checks are open, metrics need the token", async () => {
+		assert.equal((await get(port, "/healthz")).body, "ok");
+		assert.equal((await get(port, "/readyz")).body, "ready");
+		assert.equal((await get(port, "/metrics")).status, 401);
+		assert.equal((await get(port, "/metrics", { Authorization: "Bearer wrong" })).status, 401);
+		assert.equal((await metrics(port)).status, 200);
+	});
+
+	await t.test("only sessions rammerhead answered for count as active", async () => {
+		const unknown = "ffffffffffffffffffffffffffffffff";
+		assert.equal((await get(port, `/${unknown}/https://example.com/`)).status, 404);
+		assert.equal(await upgrade(port, `/${unknown}/wss://example.com/`), "upgraded");
+		assert.match((await metrics(port)).body, /horizon_active_sessions 0/);
+		assert.equal((await get(port, `/${SESSION}/https://example.com/`)).status, 200);
+		assert.match((await metrics(port)).body, /horizon_active_sessions 1/);
+	});
+});
+
+test("proxied paths reach rammerhead as they are", async (t) => {
+	const { horizon, port } = await startServer();
+	t.after(() => horizon.drain(1000));
+
+	for (const path of [`/${SESSION}/https://example.com/`, `/${SESSION}/_rhsabc`, `/${SESSION}/AbC-_123`]) {
+		const res = await get(port, path);
+		assert.equal(res.status, 200);
+		assert.equal(res.body, `rh ${path}`);
+	}
+});
+
+test("draining ends proxied WebSockets without writing into them", async (t) => {
+	const { horizon, rh, port } = await startServer();
+	t.after(() => horizon.drain(1000));
+	// a relay that stays open, like rammerhead's
+	rh.removeAllListeners("upgrade");
+	rh.on("upgrade", (req, socket) => socket.write("HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n\r\n"));
+	const socket = await new Promise((resolve, reject) => {
+		request({ host: "127.0.0.1", port, path: `/${SESSION}/wss://example.com/`, agent: false, headers: { Connection: "Upgrade", Upgrade: "websocket" } })
+			.on("upgrade", (res, upgraded) => resolve(upgraded))
+			.on("error", reject)
+			.end();
+	});
+	let received = 0;
+	socket.on("data", (chunk) => (received += chunk.length));
+	const ended = new Promise((resolve) => socket.once("end", resolve));
+	const drained = horizon.drain(1000);
+	await ended;
+	socket.end();
+	await drained;
+	assert.equal(received, 0);
+});
+
+// A bare WebSocket client (Node 20 has none): JSON in masked frames out, server frames parsed back
+function chatClient(port, path = "/chat") {
+	return new Promise((resolve, reject) => {
+		const key = randomBytes(16).toString("base64");
+		const req = request({ host: "127.0.0.1", port, path, agent: false, headers: { Connection: "Upgrade", Upgrade: "websocket", "Sec-WebSocket-Version": "13", "Sec-WebSocket-Key": key } });
+		req.on("response", (res) => {
+			res.resume();
+			reject(new Error("HTTP " + res.statusCode));
+		});
+		req.on("error", reject);
+		req.on("upgrade", (res, socket, head) => {
+			assert.equal(res.headers["sec-websocket-accept"], createHash("sha1").update(key + "258EAFA5-E914-47DA-95CA-C5AB0DC85B11").digest("base64"));
+			const client = {
+				socket,
+				received: [],
+				closeCode: null,
+				waiters: [],
+				send(value) {
+					client.sendFrame(0x1, Buffer.from(typeof value === "string" ? value : JSON.stringify(value)));
+				},
+				sendFrame(opcode, payload, masked = true) {
+					const mask = randomBytes(4);
+					const header = payload.length < 126 ? Buffer.from([0x80 | opcode, (masked ? 0x80 : 0) | payload.length]) : Buffer.from([0x80 | opcode, (masked ? 0x80 : 0) | 126, payload.length >> 8, payload.length & 0xff]);
+					const body = Buffer.from(payload);
+					if (masked) for (let i = 0; i < body.length; i++) body[i] ^= mask[i & 3];
+					socket.write(Buffer.concat(masked ? [header, mask, body] : [header, body]));
+				},
+				// resolves with the first message (already received or still to come) that matches
+				next(match) {
+					const found = client.received.find(match);
+					if (found) {
+						client.received.splice(client.received.indexOf(found), 1);
+						return Promise.resolve(found);
+					}
+					return new Promise((done) => client.waiters.push({ match, done }));
+				},
+				closed: null,
+				close() {
+					socket.destroy();
+				}
+			};
+			client.closed = new Promise((done) => socket.once("close", () => done(client.closeCode)));
+			let buffer = head;
+			const onData = (chunk) => {
+				buffer = Buffer.concat([buffer, chunk]);
+				while (buffer.length >= 2) {
+					let length = buffer[1] & 0x7f;
+					let offset = 2;
+					if (length === 126) {
+						if (buffer.length < 4) return;
+						length = buffer.readUInt16BE(2);
+						offset = 4;
+					}
+					if (buffer.length < offset + length) return;
+					const opcode = buffer[0] & 0x0f;
+					const payload = buffer.subarray(offset, offset + length);
+					buffer = buffer.subarray(offset + length);
+					// a close without a code stays null
+					if (opcode === 0x8 && payload.length >= 2) client.closeCode = payload.readUInt16BE(0);
+					if (opcode !== 0x1) continue;
+					const message = JSON.parse(payload.toString("utf8"));
+					const waiter = client.waiters.find((w) => w.match(message));
+					if (waiter) {
+						client.waiters.splice(client.waiters.indexOf(waiter), 1);
+						waiter.done(message);
+					} else client.received.push(message);
+				}
+			};
+			socket.on("data", onData);
+			socket.on("error", () => {});
+			onData(Buffer.alloc(0));
+			resolve(client);
+		});
+		req.end();
+	});
+}
+
+async function joinChat(port, room, nick) {
+	const client = await chatClient(port);
+	client.send({ type: "join", room, nick });
+	client.joined = await client.next((m) => m.type === "joined");
+	return client;
+}
+
+const ofType = (type) => (m) => m.type === type;
+
+test("chat", async (t) => {
+	const { horizon, port } = await startServer({ chat: { historySize: 3, messageBurst: 10 } });
+	t.after(() => horizon.drain(1000));
+	const clients = [];
+	t.after(() => clients.forEach((c) => c.close()));
+	const join = async (room, nick) => {
+		const client = await joinChat(port, room, nick);
+		clients.push(client);
+		return client;
+	};
+
+	await t.test("people in a room see each other and each other's messages", async () => {
+		const alice = await join("lobby", "alice");
+		assert.deepEqual(alice.joined, { type: "joined", room: "lobby", nick: "alice", members: ["alice"], history: [] });
+		const bob = await join("lobby", "  bob\n\u0007 ");
+		assert.equal(bob.joined.nick, "bob");
+		assert.deepEqual((await alice.next(ofType("presence"))), { type: "presence", event: "join", nick: "bob", members: ["alice", "bob"] });
+
+		alice.send({ type: "message", text: "hi bob" });
+		for (const client of [alice, bob]) {
+			const message = await client.next(ofType("message"));
+			assert.equal(message.nick, "alice");
+			assert.equal(message.text, "hi bob");
+			assert.ok(message.id && message.ts);
+		}
+	});
+
+	await t.test("a taken nickname gets a number", async () => {
+		const second = await join("lobby", "Alice");
+		assert.equal(second.joined.nick, "Alice 2");
+		second.send({ type: "nick", nick: "bob" });
+		const renamed = await second.next((m) => m.type === "presence" && m.event === "nick");
+		assert.equal(renamed.nick, "bob 2");
+		assert.equal(renamed.previous, "Alice 2");
+	});
+
+	await t.test("rooms are separate and keep only the latest messages", async () => {
+		const dev = await join("dev", "carol");
+		for (let i = 1; i <= 5; i++) {
+			dev.send({ type: "message", text: "m" + i });
+			await dev.next(ofType("message"));
+		}
+		const late = await join("dev", "dave");
+		assert.deepEqual(late.joined.history.map((m) => m.text), ["m3", "m4", "m5"]);
+		assert.ok(!late.joined.history.some((m) => m.text === "hi bob"));
+	});
+
+	await t.test("bad input gets an error, not a dropped connection", async () => {
+		const client = await chatClient(port);
+		clients.push(client);
+		client.send({ type: "message", text: "before joining" });
+		assert.equal((await client.next(ofType("error"))).error, "join a room first");
+		client.send({ type: "join", room: "Not A Room!" });
+		assert.match((await client.next(ofType("error"))).error, /^room names/);
+		client.send("not json");
+		assert.equal((await client.next(ofType("error"))).error, "messages must be JSON objects");
+		client.send({ type: "join", room: "lobby" });
+		assert.equal((await client.next(ofType("joined"))).nick, "guest");
+		client.send({ type: "message", text: "x".repeat(2001) });
+		assert.match((await client.next(ofType("error"))).error, /limited to 2000 characters/);
+	});
+
+	await t.test("frames that break the protocol close the connection", async () => {
+		const unmasked = await chatClient(port);
+		unmasked.sendFrame(0x1, Buffer.from("{}"), false);
+		assert.equal(await unmasked.closed, 1002);
+		const binary = await chatClient(port);
+		binary.sendFrame(0x2, Buffer.from([1, 2, 3]));
+		assert.equal(await binary.closed, 1003);
+	});
+
+	await t.test("a close is echoed only when its code may be sent", async () => {
+		const closeWith = async (payload) => {
+			const client = await chatClient(port);
+			client.sendFrame(0x8, payload);
+			return client.closed;
+		};
+		const code = (n, reason = "") => Buffer.concat([Buffer.from([n >> 8, n & 0xff]), Buffer.from(reason)]);
+		assert.equal(await closeWith(code(1000, "bye")), 1000);
+		assert.equal(await closeWith(code(4321)), 4321);
+		assert.equal(await closeWith(Buffer.alloc(0)), null);
+		for (const reserved of [999, 1004, 1005, 1006, 1015, 2000, 5000]) assert.equal(await closeWith(code(reserved)), 1002, String(reserved));
+		assert.equal(await closeWith(Buffer.from([0x03])), 1002, "one byte");
+		assert.equal(await closeWith(Buffer.concat([code(1000), Buffer.from([0xff])])), 1007, "reason isn't UTF-8");
+	});
+
+	await t.test("draining tells chat connections the server is going away", async () => {
+		const client = await join("lobby", "eve");
+		const closed = client.closed;
+		await horizon.drain(1000);
+		assert.equal(await closed, 1001);
+	});
+});
+
+test("chat rate limits", async (t) => {
+	const { horizon, port } = await startServer({ chat: { messageBurst: 2, messagesPerMinute: 1, maxConnectionsPerIp: 2 } });
+	t.after(() => horizon.drain(1000));
+	const first = await joinChat(port, "lobby", "fast");
+	t.after(() => first.close());
+
+	await t.test("messages beyond the burst are refused with a wait", async () => {
+		first.send({ type: "message", text: "one" });
+		first.send({ type: "message", text: "two" });
+		first.send({ type: "message", text: "three" });
+		const refused = await first.next(ofType("error"));
+		assert.equal(refused.error, "you are sending too fast");
+		assert.ok(refused.retryAfter >= 1);
+		assert.deepEqual([(await first.next(ofType("message"))).text, (await first.next(ofType("message"))).text], ["one", "two"]);
+		assert.match((await metrics(port)).body, /horizon_rate_limited_total\{budget="chat"\} 1/);
+	});
+
+	await t.test("each address may only have so many connections open", async () => {
+		const second = await chatClient(port);
+		t.after(() => second.close());
+		await assert.rejects(chatClient(port), /HTTP 429/);
+		assert.match((await metrics(port)).body, /horizon_chat_connections 2/);
+	});
+});
+
+test("switching chat rooms is charged like a message", async (t) => {
+	const { horizon, port } = await startServer({ chat: { messageBurst: 2, messagesPerMinute: 1 } });
+	t.after(() => horizon.drain(1000));
+	const watcher = await joinChat(port, "quiet", "watcher");
+	t.after(() => watcher.close());
+	const hopper = await joinChat(port, "quiet", "hopper");
+	t.after(() => hopper.close());
+
+	// two switches fit the burst; a refused one leaves the client where it was
+	for (const room of ["loud", "quiet", "loud", "loud"]) hopper.send({ type: "join", room, nick: "hopper" });
+	for (let i = 0; i < 2; i++) assert.equal((await hopper.next(ofType("error"))).error, "you are sending too fast");
+	// greeting again is free, and arrives after whatever the hops broadcast
+	watcher.send({ type: "join", room: "quiet" });
+	await watcher.next(ofType("joined"));
+	assert.deepEqual(watcher.received.filter(ofType("presence")).map((m) => `${m.event} ${m.nick}`), ["join hopper", "leave hopper", "join hopper"]);
+	assert.match((await metrics(port)).body, /horizon_rate_limited_total\{budget="chat"\} 2/);
+});
+
+test("chat access", async (t) => {
+	await t.test("needs the deployment password", async () => {
+		const { horizon, port } = await startServer({ password: "hunter2" });
+		t.after(() => horizon.drain(1000));
+		await assert.rejects(chatClient(port), /HTTP 403/);
+		await assert.rejects(chatClient(port, "/chat?pwd=wrong"), /HTTP 403/);
+		const client = await chatClient(port, "/chat?pwd=hunter2");
+		client.close();
+	});
+
+	await t.test("can be turned off", async () => {
+		const { horizon, port } = await startServer({ chat: { enabled: false } });
+		t.after(() => horizon.drain(1000));
+		assert.equal(await upgrade(port, "/chat"), "rejected");
+	});
+});
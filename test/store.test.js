@@ -0,0 +1,110 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import StateStore from "../static/app/store.js";
+
+function recorder(store, keys) {
+	const calls = [];
+	const unsubscribe = store.subscribe(keys, (changed) => calls.push([...changed].sort()));
+	return { calls, unsubscribe };
+}
+
+test("set notifies the subscribers of that key only", () => {
+	const store = new StateStore({ tabs: [], bookmarks: [] });
+	const tabs = recorder(store, ["tabs"]);
+	const bookmarks = recorder(store, ["bookmarks"]);
+	store.set("tabs", [1]);
+	assert.deepEqual(store.state.tabs, [1]);
+	assert.deepEqual(tabs.calls, [["tabs"]]);
+	assert.deepEqual(bookmarks.calls, []);
+});
+
+test("changed() is for slices mutated in place", () => {
+	const store = new StateStore({ tabs: [] });
+	const tabs = recorder(store, ["tabs"]);
+	store.state.tabs.push("t");
+	store.changed("tabs");
+	assert.deepEqual(tabs.calls, [["tabs"]]);
+});
+
+test("load() takes values in silently and keeps the state object", () => {
+	const state = { a: 1 };
+	const store = new StateStore(state);
+	const a = recorder(store, ["a"]);
+	store.load({ a: 2, b: 3 });
+	assert.equal(store.state, state);
+	assert.deepEqual(state, { a: 2, b: 3 });
+	assert.deepEqual(a.calls, []);
+});
+
+test("an action notifies once, after it is done, with every key it changed", () => {
+	const store = new StateStore({ tabs: [], activeTab: 0 });
+	const seen = [];
+	store.subscribe(["tabs", "activeTab"], () => seen.push([store.state.tabs.length, store.state.activeTab]));
+	const open = store.action((url) => {
+		store.set("tabs", store.state.tabs.concat([url]));
+		store.set("activeTab", store.state.tabs.length - 1);
+		return "opened";
+	});
+	assert.equal(open("a"), "opened");
+	assert.equal(open("b"), "opened");
+	// never the half-done state where the tab is there but not yet active
+	assert.deepEqual(seen, [[1, 0], [2, 1]]);
+});
+
+test("actions calling actions notify once for all of them", () => {
+	const store = new StateStore({ a: 0, b: 0 });
+	const all = recorder(store, ["a", "b"]);
+	const setA = store.action(() => store.set("a", 1));
+	const setBoth = store.action(() => {
+		setA();
+		store.set("b", 1);
+	});
+	setBoth();
+	assert.deepEqual(all.calls, [["a", "b"]]);
+});
+
+test("a batch that throws still notifies what it changed", () => {
+	const store = new StateStore({ a: 0 });
+	const a = recorder(store, ["a"]);
+	assert.throws(() => store.batch(() => {
+		store.set("a", 1);
+		throw new Error("boom");
+	}), /boom/);
+	assert.deepEqual(a.calls, [["a"]]);
+});
+
+test("changes made by a subscriber go out in another round", () => {
+	const store = new StateStore({ a: 0, b: 0 });
+	store.subscribe(["a"], () => store.set("b", store.state.a * 2));
+	const b = recorder(store, ["b"]);
+	store.set("a", 2);
+	assert.equal(store.state.b, 4);
+	assert.deepEqual(b.calls, [["b"]]);
+});
+
+test("unsubscribing, also from inside a handler", () => {
+	const store = new StateStore({ a: 0 });
+	const a = recorder(store, ["a"]);
+	let late = 0;
+	const once = store.subscribe(["a"], () => {
+		once();
+		late++;
+	});
+	store.set("a", 1);
+	a.unsubscribe();
+	store.set("a", 2);
+	assert.equal(late, 1);
+	assert.deepEqual(a.calls, [["a"]]);
+});
+
+test("a failing subscriber doesn't stop the others", (t) => {
+	const store = new StateStore({ a: 0 });
+	t.mock.method(console, "error", () => {});
+	store.subscribe(["a"], () => {
+		throw new Error("broken extension");
+	});
+	const a = recorder(store, ["a"]);
+	store.set("a", 1);
+	assert.deepEqual(a.calls, [["a"]]);
+	assert.equal(console.error.mock.callCount(), 1);
+});
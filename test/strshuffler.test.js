@@ -0,0 +1,96 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import StrShuffler from "../static/lib/StrShuffler.js";
+import { rng, randomText, randomUrl } from "./random.js";
+
+const RUNS = 500;
+const BASE = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz~-";
+
+function shufflerFor(random) {
+	const chars = BASE.split("");
+	for (let i = chars.length - 1; i > 0; i--) {
+		const j = Math.floor(random() * (i + 1));
+		[chars[i], chars[j]] = [chars[j], chars[i]];
+	}
+	return new StrShuffler(chars.join(""));
+}
+
+test("unshuffle(shuffle(s)) === s for arbitrary text", () => {
+	for (let seed = 1; seed <= RUNS; seed++) {
+		const random = rng(seed);
+		const shuffler = shufflerFor(random);
+		const input = randomText(random);
+		if (input.startsWith("_rhs")) continue;
+		assert.equal(shuffler.unshuffle(shuffler.shuffle(input)), input, `seed ${seed}: ${JSON.stringify(input)}`);
+	}
+});
+
+test("round-trips URLs and keeps their length", () => {
+	for (let seed = 1; seed <= RUNS; seed++) {
+		const random = rng(seed);
+		const shuffler = shufflerFor(random);
+		const url = randomUrl(random);
+		const shuffled = shuffler.shuffle(url);
+		assert.equal(shuffled.length, url.length + "_rhs".length, `seed ${seed}`);
+		assert.equal(shuffler.unshuffle(shuffled), url, `seed ${seed}: ${url}`);
+	}
+});
+
+test("a fresh dictionary is a permutation of the base alphabet", () => {
+	for (let i = 0; i < 20; i++) {
+		const { dictionary } = new StrShuffler();
+		assert.equal([...dictionary].sort().join(""), [...BASE].sort().join(""));
+	}
+});
+
+test("percent escapes pass through untouched", () => {
+	const shuffler = shufflerFor(rng(7));
+	const shuffled = shuffler.shuffle("a%2Fb%zz%");
+	assert.ok(shuffled.startsWith("_rhs"));
+	const body = shuffled.slice(4);
+	assert.equal(body.slice(1, 4), "%2F");
+	assert.equal(body.slice(5, 8), "%zz");
+	// a "%" without two characters after it is copied like any other non-dictionary character
+	assert.equal(body.at(-1), "%");
+	assert.equal(shuffler.unshuffle(shuffled), "a%2Fb%zz%");
+});
+
+test("characters outside the dictionary are kept, including non-ASCII and lone surrogates", () => {
+	const shuffler = shufflerFor(rng(11));
+	const input = "https://例え.jp/ß?q=😀\ud83d";
+	const shuffled = shuffler.shuffle(input);
+	for (const ch of ["://", ".", "/", "?", "=", "例え", "ß", "😀", "\ud83d"]) assert.ok(shuffled.includes(ch), ch);
+	assert.equal(shuffler.unshuffle(shuffled), input);
+});
+
+test("the _rhs prefix", async (t) => {
+	const shuffler = shufflerFor(rng(3));
+
+	await t.test("shuffle leaves already shuffled strings alone", () => {
+		const once = shuffler.shuffle("https://example.com/");
+		assert.equal(shuffler.shuffle(once), once);
+	});
+
+	await t.test("unshuffle passes through strings without the prefix", () => {
+		for (const plain of ["", "https://example.com/", "_rh", "rhs_x", "_RHSabc"]) assert.equal(shuffler.unshuffle(plain), plain);
+	});
+
+	await t.test("the empty string and the bare prefix", () => {
+		assert.equal(shuffler.shuffle(""), "_rhs");
+		assert.equal(shuffler.unshuffle("_rhs"), "");
+	});
+
+	await t.test("input that merely starts with the prefix is not round-tripped", () => {
+		// a documented limitation: such input is taken for already shuffled
+		assert.equal(shuffler.shuffle("_rhsfoo"), "_rhsfoo");
+		assert.notEqual(shuffler.unshuffle("_rhsfoo"), "_rhsfoo");
+	});
+});
+
+test("dictionaries differ, so do the shuffled forms", () => {
+	const a = shufflerFor(rng(1));
+	const b = shufflerFor(rng(2));
+	const url = "https://example.com/path";
+	assert.notEqual(a.shuffle(url), b.shuffle(url));
+	assert.notEqual(b.unshuffle(a.shuffle(url)), url);
+});
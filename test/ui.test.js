@@ -0,0 +1,307 @@
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import StrShuffler from "../static/lib/StrShuffler.js";
+import { SESSION, SHUFFLE_DICT, fakeServer, loadHorizon, until, key, click, loadFrame } from "./dom.js";
+
+// One page for the whole file; the steps build on each other, like a person using it
+let page;
+let server;
+
+before(async () => {
+	server = fakeServer();
+	page = await loadHorizon(server);
+});
+
+after(() => page.close());
+
+const $ = (selector) => page.document.querySelector(selector);
+const $$ = (selector) => [...page.document.querySelectorAll(selector)];
+const tabs = () => page.horizon.state.tabs;
+const active = () => tabs()[page.horizon.state.activeTab];
+const frameFor = (tab) => $(`.iframe-wrapper[data-tab-id="${tab.id}"] iframe`);
+
+test("startup creates a session and fetches its shuffle dictionary", () => {
+	assert.ok(server.requests.includes("/newsession"));
+	assert.equal(page.horizon.state.session, SESSION);
+	assert.equal(page.horizon.state.shuffleDict, SHUFFLE_DICT);
+	assert.equal(tabs().length, 0);
+	assert.notEqual($("#home-view").style.display, "none");
+});
+
+test("tabs", async (t) => {
+	await t.test("entering an address opens a tab on a shuffled proxy URL", async () => {
+		$("#home-address").value = "example.com";
+		click(page.window, $("#home-go"));
+		await until(() => tabs().length === 1 && frameFor(active()));
+		assert.equal(active().url, "https://example.com");
+		const src = frameFor(active()).getAttribute("src");
+		assert.ok(src.startsWith(`/${SESSION}/`));
+		assert.ok(!src.includes("example"));
+		assert.equal(new StrShuffler(SHUFFLE_DICT).unshuffle(src.slice(SESSION.length + 2)), "https://example.com");
+		assert.equal($$("#tabs-bar .tab").length, 1);
+	});
+
+	await t.test("the loaded page names the tab and fills the address bar", async () => {
+		loadFrame(page.window, frameFor(active()), "Example Domain");
+		await until(() => active().title === "Example Domain");
+		assert.equal($("#tabs-bar .tab.active .tab-title").textContent, "Example Domain");
+		assert.equal($("#address-input").value, "https://example.com");
+	});
+
+	await t.test("Ctrl+T opens a new tab, Ctrl+1 switches back", async () => {
+		key(page.window, { key: "t", ctrlKey: true });
+		assert.equal(tabs().length, 2);
+		assert.equal(page.horizon.state.activeTab, 1);
+		key(page.window, { key: "1", ctrlKey: true });
+		assert.equal(page.horizon.state.activeTab, 0);
+	});
+
+	await t.test("closing a tab and reopening it with Ctrl+Shift+T", async () => {
+		click(page.window, $$("#tabs-bar .tab")[0].querySelector(".tab-close"));
+		assert.equal(tabs().length, 1);
+		assert.ok(!tabs().some((tab) => tab.url === "https://example.com"));
+		key(page.window, { key: "T", ctrlKey: true, shiftKey: true });
+		await until(() => tabs().some((tab) => tab.url === "https://example.com"));
+		assert.equal(tabs().length, 2);
+	});
+});
+
+test("links and popups from proxied pages open Horizon tabs", async (t) => {
+	const opener = () => tabs().find((tab) => tab.url === "https://example.com");
+
+	await t.test("window.open", async () => {
+		// the reopened tab got a new frame
+		const iframe = frameFor(opener());
+		loadFrame(page.window, iframe, "Example Domain");
+		const count = tabs().length;
+		assert.equal(iframe.contentWindow.open("https://popup.example/"), null);
+		await until(() => tabs().length === count + 1);
+		assert.equal(active().url, "https://popup.example/");
+	});
+
+	await t.test("target=_blank opens a foreground tab, Ctrl+click a background one", async () => {
+		const iframe = frameFor(opener());
+		const link = iframe.contentDocument.createElement("a");
+		link.href = "https://blank.example/";
+		link.target = "_blank";
+		iframe.contentDocument.body.appendChild(link);
+
+		let count = tabs().length;
+		click(page.window, link);
+		await until(() => tabs().length === count + 1);
+		assert.equal(active().url, "https://blank.example/");
+
+		link.removeAttribute("target");
+		link.href = "https://background.example/";
+		count = tabs().length;
+		const before = active();
+		click(page.window, link, { ctrlKey: true });
+		await until(() => tabs().length === count + 1);
+		assert.equal(active(), before);
+		assert.ok(tabs().some((tab) => tab.url === "https://background.example/"));
+	});
+
+	await t.test("nested frames are hooked too, and hammerhead's window.open still gets the rest", async () => {
+		const doc = frameFor(opener()).contentDocument;
+		const nested = doc.createElement("iframe");
+		doc.body.appendChild(nested);
+		const opened = [];
+		const hammerheadOpen = (url, target) => {
+			opened.push([url, target]);
+			return "hammerhead";
+		};
+		// hammerhead's own wrapper is in place before the nested page has loaded
+		nested.contentWindow.open = hammerheadOpen;
+		loadFrame(page.window, nested, "Nested");
+		assert.notEqual(nested.contentWindow.open, hammerheadOpen);
+
+		const count = tabs().length;
+		assert.equal(nested.contentWindow.open("https://nested.example/"), null);
+		await until(() => tabs().length === count + 1);
+		assert.equal(active().url, "https://nested.example/");
+
+		assert.equal(nested.contentWindow.open("about:blank"), "hammerhead");
+		assert.equal(nested.contentWindow.open("https://nested.example/other", "_self"), "hammerhead");
+		assert.deepEqual(opened, [["about:blank", undefined], ["https://nested.example/other", "_self"]]);
+		assert.equal(tabs().length, count + 1);
+	});
+});
+
+test("history", async (t) => {
+	await t.test("visits are recorded when a page loads", () => {
+		const entry = page.horizon.state.history.find((h) => h.url === "https://example.com");
+		assert.ok(entry);
+		assert.equal(entry.title, "Example Domain");
+	});
+
+	await t.test("the history page lists them and searches", async () => {
+		click(page.window, $("#history-btn"));
+		await until(() => active().url === "horizon://history" && $(".history-row"));
+		const titles = () => $$(".history-row").map((row) => row.textContent);
+		assert.ok(titles().some((text) => text.includes("Example Domain")));
+		const search = $("#history-search");
+		search.value = "no such page";
+		search.dispatchEvent(new page.window.Event("input", { bubbles: true }));
+		await until(() => !titles().some((text) => text.includes("Example Domain")));
+	});
+
+	await t.test("visits from other windows are capped like local ones", async () => {
+		const { onWindowMessage } = await import("../static/app/sync.js");
+		const { MAX_HISTORY_ENTRIES } = await import("../static/app/history.js");
+		// older than anything visited here, so the cap drops these first
+		const added = Array.from({ length: MAX_HISTORY_ENTRIES + 1 }, (_, i) => ({ id: "other" + i, url: "https://other.example/" + i, title: "other", ts: new Date(Date.UTC(2000, 0, 1, 0, 0, i)).toISOString() }));
+		onWindowMessage({ type: "history", removed: [], added });
+		assert.equal(page.horizon.state.history.length, MAX_HISTORY_ENTRIES);
+		assert.ok(page.horizon.state.history.some((h) => h.url === "https://example.com"));
+		onWindowMessage({ type: "history", removed: added.map((h) => h.id), added: [] });
+		assert.ok(!page.horizon.state.history.some((h) => h.title === "other"));
+	});
+});
+
+test("bookmarks", async (t) => {
+	const exampleIdx = () => tabs().findIndex((tab) => tab.url === "https://example.com");
+
+	await t.test("the star bookmarks the current page and shows it on the bar", () => {
+		click(page.window, $$("#tabs-bar .tab")[exampleIdx()]);
+		const iframe = frameFor(active());
+		click(page.window, $("#bookmark-toggle"));
+		assert.ok(page.horizon.state.bookmarks.some((b) => b.url === "https://example.com"));
+		assert.ok($$("#bookmarks button").some((btn) => btn.textContent.includes("Example Domain")));
+		assert.equal($("#bookmark-toggle").textContent, "★");
+		// only the bar and the star are redrawn; the page keeps its frame
+		assert.equal(frameFor(active()), iframe);
+	});
+
+	await t.test("middle-clicking a bookmark opens it in a background tab", async () => {
+		const count = tabs().length;
+		const before = active();
+		const button = $$("#bookmarks button").find((btn) => btn.textContent.includes("Example Domain"));
+		click(page.window, button, { button: 1 });
+		await until(() => tabs().length === count + 1);
+		assert.equal(active(), before);
+	});
+
+	await t.test("the bookmarks page shows it", async () => {
+		click(page.window, $("#manage-bookmarks-btn"));
+		await until(() => active().url === "horizon://bookmarks");
+		assert.ok($(".internal-page").textContent.includes("Example Domain"));
+	});
+
+	await t.test("the star again removes it", () => {
+		click(page.window, $$("#tabs-bar .tab")[exampleIdx()]);
+		click(page.window, $("#bookmark-toggle"));
+		assert.ok(!page.horizon.state.bookmarks.some((b) => b.url === "https://example.com"));
+		assert.ok(!$$("#bookmarks button").some((btn) => btn.textContent.includes("Example Domain")));
+	});
+});
+
+test("window.Horizon is a fixed surface that reports changes", async () => {
+	assert.ok(Object.isFrozen(page.horizon));
+	const changes = [];
+	const unsubscribe = page.horizon.subscribe(["tabs", "activeTab"], (changed) => changes.push([...changed].sort()));
+	const tab = page.horizon.addTab("", true);
+	assert.equal(active(), tab);
+	// one notification for the whole action
+	assert.deepEqual(changes, [["activeTab", "tabs"]]);
+	unsubscribe();
+	page.horizon.closeTab(tabs().indexOf(tab));
+	assert.equal(changes.length, 1);
+	assert.ok(!tabs().includes(tab));
+});
+
+test("internal pages", async (t) => {
+	// earlier tabs may still hold the same page, hidden
+	const shown = (selector) => $(`.iframe-wrapper[data-tab-id="${active().id}"] ${selector}`);
+
+	await t.test("query params reach the page", async () => {
+		page.horizon.navigateTo("horizon://history?q=example", true);
+		await until(() => active().url === "horizon://history?q=example" && shown(".history-row"));
+		assert.equal(shown("#history-search").value, "example");
+		assert.ok(shown(".history-viewport").textContent.includes("Example Domain"));
+	});
+
+	await t.test("a registered page gets its sub-path and is unmounted with its tab", async () => {
+		const seen = [];
+		let unmounted = 0;
+		page.horizon.registerPage("tools/echo", {
+			title: "Echo",
+			mount(element, route) {
+				seen.push([route.name, route.path, route.params.x]);
+				element.textContent = "echo " + route.path;
+				route.onUnmount(() => unmounted++);
+			}
+		});
+		assert.throws(() => page.horizon.registerPage("tools/echo", { mount() {} }), (e) => e === "horizon://tools/echo is already registered");
+		page.horizon.navigateTo("horizon://tools/echo/a/b?x=1", true);
+		await until(() => shown(".internal-page") && shown(".internal-page").textContent === "echo a/b");
+		assert.deepEqual(seen, [["tools/echo", "a/b", "1"]]);
+		page.horizon.closeTab(page.horizon.state.activeTab);
+		assert.equal(unmounted, 1);
+	});
+
+	await t.test("horizon://about lists every page", async () => {
+		page.horizon.navigateTo("horizon://about", true);
+		await until(() => shown(".about-pages"));
+		const text = shown(".about-pages").textContent;
+		["horizon://history", "horizon://settings", "horizon://tools/echo"].forEach((uri) => assert.ok(text.includes(uri), uri));
+	});
+
+	await t.test("unknown pages say so", async () => {
+		page.horizon.navigateTo("horizon://nope", true);
+		await until(() => shown(".internal-page") && shown(".internal-page").textContent.includes("Unknown internal page: horizon://nope"));
+	});
+});
+
+test("horizon://chat talks to the chat socket and reconnects", async (t) => {
+	const shown = (selector) => $(`.iframe-wrapper[data-tab-id="${active().id}"] ${selector}`);
+	const lines = () => [...shown("#chat-log").children].map((line) => line.textContent);
+	let socket;
+
+	await t.test("the page joins the room from its URL", async () => {
+		page.horizon.navigateTo("horizon://chat/dev", true);
+		await until(() => server.sockets.length === 1);
+		socket = server.sockets[0];
+		assert.equal(socket.url, "ws://localhost:8080/chat");
+		socket.open();
+		assert.deepEqual(socket.sent, [{ type: "join", room: "dev", nick: "" }]);
+		socket.receive({ type: "joined", room: "dev", nick: "guest", members: ["ann", "guest"], history: [{ id: "1", nick: "ann", text: "earlier", ts: Date.now() }] });
+		assert.ok(lines()[0].endsWith("annearlier"));
+		assert.equal(shown(".chat-members").textContent, "2 here: ann, guest");
+		assert.equal(shown("#chat-status").textContent, "Connected");
+	});
+
+	await t.test("sending and receiving", () => {
+		shown("#chat-input").value = "hello";
+		shown(".chat-form").dispatchEvent(new page.window.Event("submit", { cancelable: true }));
+		assert.deepEqual(socket.sent.at(-1), { type: "message", text: "hello" });
+		assert.equal(shown("#chat-input").value, "");
+		socket.receive({ type: "message", id: "2", nick: "guest", text: "hello", ts: Date.now() });
+		assert.ok(shown("#chat-log .chat-line.own"));
+	});
+
+	await t.test("a dropped connection comes back and joins again", async () => {
+		socket.drop();
+		assert.match(shown("#chat-status").textContent, /^Disconnected; retrying in \d+ s$/);
+		assert.ok(shown("#chat-input").disabled);
+		page.window.dispatchEvent(new page.window.Event("online"));
+		assert.equal(server.sockets.length, 2);
+		socket = server.sockets[1];
+		socket.open();
+		assert.deepEqual(socket.sent, [{ type: "join", room: "dev", nick: "guest" }]);
+	});
+
+	await t.test("the nickname is a setting", () => {
+		socket.receive({ type: "joined", room: "dev", nick: "guest", members: ["guest"], history: [] });
+		const nick = shown("#chat-nick");
+		nick.value = "zoe";
+		nick.dispatchEvent(new page.window.Event("change"));
+		assert.equal(page.horizon.state.settings.chatNick, "zoe");
+		assert.deepEqual(socket.sent.at(-1), { type: "nick", nick: "zoe" });
+	});
+
+	await t.test("closing the tab closes the connection", () => {
+		page.horizon.closeTab(page.horizon.state.activeTab);
+		assert.equal(socket.readyState, server.WebSocket.CLOSED);
+		assert.equal(server.sockets.length, 2);
+	});
+});